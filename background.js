@@ -3,6 +3,8 @@
  * Handles storage, command shortcuts, and cross-tab communication
  */
 
+importScripts('lib/schema.js', 'lib/selector-packs.js');
+
 // Listen for keyboard commands
 chrome.commands.onCommand.addListener((command) => {
   chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
@@ -24,15 +26,23 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       return true;
 
     case 'SAVE_COMMENT':
-      saveComment(message.comment).then(sendResponse);
+      enqueueWrite(() => saveComment(message.comment)).then(sendResponse);
       return true;
 
     case 'UPDATE_COMMENT':
-      updateComment(message.commentId, message.updates).then(sendResponse);
+      enqueueWrite(() => updateComment(message.commentId, message.updates)).then(sendResponse);
+      return true;
+
+    case 'UPDATE_COMMENTS':
+      enqueueWrite(() => updateComments(message.changes)).then(sendResponse);
       return true;
 
     case 'DELETE_COMMENT':
-      deleteComment(message.commentId).then(sendResponse);
+      enqueueWrite(() => deleteComment(message.commentId)).then(sendResponse);
+      return true;
+
+    case 'DELETE_COMMENTS':
+      enqueueWrite(() => deleteComments(message.commentIds)).then(sendResponse);
       return true;
 
     case 'GET_JUMP_STACK':
@@ -40,11 +50,48 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       return true;
 
     case 'PUSH_JUMP':
-      pushJump(message.pageId, message.frame).then(sendResponse);
+      enqueueWrite(() => pushJump(message.pageId, message.frame)).then(sendResponse);
       return true;
 
     case 'POP_JUMP':
-      popJump(message.pageId).then(sendResponse);
+      enqueueWrite(() => popJump(message.pageId)).then(sendResponse);
+      return true;
+
+    // Popup: export, import, clear and stats
+    case 'GET_ALL_DATA':
+      getAllData().then(sendResponse);
+      return true;
+
+    case 'IMPORT_DATA':
+      enqueueWrite(() => importData(message.data)).then(sendResponse);
+      return true;
+
+    case 'CLEAR_ALL':
+      enqueueWrite(() => clearAll()).then(sendResponse);
+      return true;
+
+    case 'GET_STATS':
+      getStats().then(sendResponse);
+      return true;
+
+    // Trash: deleted comments are kept until restored, emptied or purged
+    case 'RESTORE_COMMENTS':
+      enqueueWrite(() => restoreComments(message.commentIds)).then(sendResponse);
+      return true;
+
+    case 'GET_TRASH':
+      getTrash().then(sendResponse);
+      return true;
+
+    case 'EMPTY_TRASH':
+      enqueueWrite(() => purgeTrash(0)).then(sendResponse);
+      return true;
+
+    // Content scripts: DOM selectors for the active provider
+    case 'GET_SELECTOR_PACK':
+      self.JAL.SelectorPacks.resolve(message.provider)
+        .then(sendResponse)
+        .catch(error => sendResponse({ error: error.message }));
       return true;
 
     default:
@@ -52,13 +99,138 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
 });
 
+// Deleted comments stay in the trash this long before being purged
+const TRASH_RETENTION_DAYS = 30;
+
+// IndexedDB setup
+// comments: one record per comment, keyed by commentId and indexed by pageId
+// jumpStacks: one record per page ({ pageId, frames })
+const DB_NAME = 'jal';
+const DB_VERSION = 1;
+
+let dbPromise = null;
+
+function openDB() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains('comments')) {
+          const comments = db.createObjectStore('comments', { keyPath: 'commentId' });
+          comments.createIndex('pageId', 'pageId', { unique: false });
+        }
+        if (!db.objectStoreNames.contains('jumpStacks')) {
+          db.createObjectStore('jumpStacks', { keyPath: 'pageId' });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).then(async (db) => {
+      await migrateFromStorageLocal(db);
+      await migrateCommentSchema(db);
+      return db;
+    }).catch((err) => {
+      console.error('JAL Background: Failed to open database:', err);
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+}
+
+// Wrap an IDBRequest in a promise
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Run fn inside a transaction, resolving with its result once the transaction commits
+async function withStores(storeNames, mode, fn, db = null) {
+  db = db || await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, mode);
+    let result;
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+    Promise.resolve(fn(tx)).then(value => { result = value; }, (err) => {
+      reject(err);
+      try { tx.abort(); } catch (e) { /* already finished */ }
+    });
+  });
+}
+
+// Write queue - writes run one at a time in the order they arrive,
+// so a write never starts from data another write is about to replace
+let writeQueue = Promise.resolve();
+
+function enqueueWrite(fn) {
+  const result = writeQueue.then(fn).catch((err) => {
+    console.error('JAL Background: Write failed:', err);
+    return { success: false, error: err.message };
+  });
+  writeQueue = result;
+  return result;
+}
+
+// One-time move of the old chrome.storage.local keys into IndexedDB
+async function migrateFromStorageLocal(db) {
+  const result = await chrome.storage.local.get(['comments', 'jumpStacks']);
+  if (!result.comments && !result.jumpStacks) return;
+
+  console.log('JAL Background: Migrating comments from chrome.storage.local to IndexedDB...');
+  let count = 0;
+
+  await withStores(['comments', 'jumpStacks'], 'readwrite', (tx) => {
+    const commentStore = tx.objectStore('comments');
+    for (const pageId in result.comments || {}) {
+      for (const comment of result.comments[pageId]) {
+        commentStore.put({ ...comment, pageId: comment.pageId || pageId });
+        count++;
+      }
+    }
+
+    const stackStore = tx.objectStore('jumpStacks');
+    for (const pageId in result.jumpStacks || {}) {
+      stackStore.put({ pageId, frames: result.jumpStacks[pageId] });
+    }
+  }, db);
+
+  await chrome.storage.local.remove(['comments', 'jumpStacks']);
+  console.log('JAL Background: Migrated', count, 'comments to IndexedDB');
+}
+
+// Upgrade stored comments to the current schema version
+async function migrateCommentSchema(db) {
+  const Schema = self.JAL.Schema;
+
+  const count = await withStores('comments', 'readwrite', async (tx) => {
+    const store = tx.objectStore('comments');
+    const comments = await promisifyRequest(store.getAll());
+    const outdated = comments.filter(c => Schema.needsMigration(c));
+    outdated.forEach(c => store.put(Schema.migrate(c)));
+    return outdated.length;
+  }, db);
+
+  if (count > 0) {
+    console.log('JAL Background: Migrated', count, 'comments to schema version', Schema.CURRENT_VERSION);
+  }
+}
+
 // Storage helpers
 async function getComments(pageId) {
   console.log('JAL Background: Getting comments for pageId:', pageId);
-  const result = await chrome.storage.local.get('comments');
-  console.log('JAL Background: All stored comments:', result.comments);
-  const allComments = result.comments || {};
-  const pageComments = allComments[pageId] || [];
+  const records = await withStores('comments', 'readonly', (tx) =>
+    promisifyRequest(tx.objectStore('comments').index('pageId').getAll(pageId))
+  );
+  const pageComments = records.filter(c => !c.deletedAt);
+  // Keep creation order (the index is ordered by commentId)
+  pageComments.sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
   console.log('JAL Background: Found', pageComments.length, 'comments for this page');
   return pageComments;
 }
@@ -67,85 +239,308 @@ async function saveComment(comment) {
   console.log('JAL Background: Saving comment:', comment.commentId);
   console.log('JAL Background: For pageId:', comment.pageId);
 
-  const result = await chrome.storage.local.get('comments');
-  const allComments = result.comments || {};
-
-  if (!allComments[comment.pageId]) {
-    allComments[comment.pageId] = [];
-  }
-
-  allComments[comment.pageId].push(comment);
-  await chrome.storage.local.set({ comments: allComments });
+  await withStores('comments', 'readwrite', (tx) => {
+    tx.objectStore('comments').put(comment);
+  });
 
-  console.log('JAL Background: Comment saved. Total comments for page:', allComments[comment.pageId].length);
+  console.log('JAL Background: Comment saved');
   return { success: true, comment };
 }
 
 async function updateComment(commentId, updates) {
-  const result = await chrome.storage.local.get('comments');
-  const allComments = result.comments || {};
-
-  for (const pageId in allComments) {
-    const idx = allComments[pageId].findIndex(c => c.commentId === commentId);
-    if (idx !== -1) {
-      allComments[pageId][idx] = { ...allComments[pageId][idx], ...updates };
-      await chrome.storage.local.set({ comments: allComments });
-      return { success: true };
+  return withStores('comments', 'readwrite', async (tx) => {
+    const store = tx.objectStore('comments');
+    const existing = await promisifyRequest(store.get(commentId));
+    if (!existing) {
+      return { success: false, error: 'Comment not found' };
     }
-  }
 
-  return { success: false, error: 'Comment not found' };
+    store.put({ ...existing, ...updates });
+    return { success: true };
+  });
 }
 
+// Apply several updates in one transaction
+// changes: [{ commentId, updates }]. Comments that no longer exist (e.g. purged from
+// another tab) are skipped and reported in missing, so the rest of the batch still lands
+async function updateComments(changes) {
+  return withStores('comments', 'readwrite', async (tx) => {
+    const store = tx.objectStore('comments');
+    const existing = await Promise.all(changes.map(c => promisifyRequest(store.get(c.commentId))));
+
+    const missing = changes.filter((c, i) => !existing[i]).map(c => c.commentId);
+    changes.forEach((c, i) => {
+      if (existing[i]) store.put({ ...existing[i], ...c.updates });
+    });
+    return { success: true, missing };
+  });
+}
+
+// Deleting moves comments to the trash (sets deletedAt)
 async function deleteComment(commentId) {
-  const result = await chrome.storage.local.get('comments');
-  const allComments = result.comments || {};
-
-  for (const pageId in allComments) {
-    const idx = allComments[pageId].findIndex(c => c.commentId === commentId);
-    if (idx !== -1) {
-      allComments[pageId].splice(idx, 1);
-      await chrome.storage.local.set({ comments: allComments });
-      return { success: true };
+  return withStores('comments', 'readwrite', async (tx) => {
+    const store = tx.objectStore('comments');
+    const existing = await promisifyRequest(store.get(commentId));
+    if (!existing) {
+      return { success: false, error: 'Comment not found' };
     }
-  }
 
-  return { success: false, error: 'Comment not found' };
+    store.put({ ...existing, deletedAt: Date.now() });
+    return { success: true };
+  });
+}
+
+// Move several comments to the trash in one transaction
+async function deleteComments(commentIds) {
+  const deletedAt = Date.now();
+  await withStores('comments', 'readwrite', async (tx) => {
+    const store = tx.objectStore('comments');
+    const existing = await Promise.all(commentIds.map(id => promisifyRequest(store.get(id))));
+    existing.filter(Boolean).forEach(c => store.put({ ...c, deletedAt }));
+  });
+  return { success: true };
+}
+
+// Take comments back out of the trash, with the rest of their thread
+// (a reply comes back with its trashed root, a root with its trashed replies)
+async function restoreComments(commentIds) {
+  await withStores('comments', 'readwrite', async (tx) => {
+    const store = tx.objectStore('comments');
+    const trashed = (await promisifyRequest(store.getAll())).filter(c => c.deletedAt);
+    const byId = new Map(trashed.map(c => [c.commentId, c]));
+
+    const rootIds = new Set(commentIds.map(id => {
+      const threadId = byId.get(id)?.threadId;
+      return threadId && byId.has(threadId) ? threadId : id;
+    }));
+    trashed
+      .filter(c => commentIds.includes(c.commentId) || rootIds.has(c.commentId) || rootIds.has(c.threadId))
+      .forEach(c => {
+        const { deletedAt, ...restored } = c;
+        store.put(restored);
+      });
+  });
+  return { success: true };
+}
+
+// Comments in the trash, most recently deleted first
+async function getTrash() {
+  const comments = await withStores('comments', 'readonly', (tx) =>
+    promisifyRequest(tx.objectStore('comments').getAll())
+  );
+  return comments
+    .filter(c => c.deletedAt)
+    .sort((a, b) => b.deletedAt - a.deletedAt);
+}
+
+// Permanently delete trashed comments older than maxAgeDays (0 empties the trash)
+async function purgeTrash(maxAgeDays) {
+  const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+
+  const count = await withStores('comments', 'readwrite', async (tx) => {
+    const store = tx.objectStore('comments');
+    const comments = await promisifyRequest(store.getAll());
+    const expired = comments.filter(c => c.deletedAt && c.deletedAt <= cutoff);
+    expired.forEach(c => store.delete(c.commentId));
+    return expired.length;
+  });
+
+  if (count > 0) {
+    console.log('JAL Background: Purged', count, 'comments from the trash');
+  }
+  return { success: true, count };
 }
 
 async function getJumpStack(pageId) {
-  const result = await chrome.storage.local.get('jumpStacks');
-  const allStacks = result.jumpStacks || {};
-  return allStacks[pageId] || [];
+  const record = await withStores('jumpStacks', 'readonly', (tx) =>
+    promisifyRequest(tx.objectStore('jumpStacks').get(pageId))
+  );
+  return record?.frames || [];
 }
 
 async function pushJump(pageId, frame) {
-  const result = await chrome.storage.local.get('jumpStacks');
-  const allStacks = result.jumpStacks || {};
+  return withStores('jumpStacks', 'readwrite', async (tx) => {
+    const store = tx.objectStore('jumpStacks');
+    const record = await promisifyRequest(store.get(pageId)) || { pageId, frames: [] };
+
+    record.frames.push(frame);
+    store.put(record);
+    return { success: true };
+  });
+}
+
+async function popJump(pageId) {
+  return withStores('jumpStacks', 'readwrite', async (tx) => {
+    const store = tx.objectStore('jumpStacks');
+    const record = await promisifyRequest(store.get(pageId));
+
+    if (!record || record.frames.length === 0) {
+      return { success: false, frame: null };
+    }
+
+    const frame = record.frames.pop();
+    store.put(record);
+    return { success: true, frame };
+  });
+}
 
-  if (!allStacks[pageId]) {
-    allStacks[pageId] = [];
+// Everything, in the export format: { comments: { pageId: [...] }, jumpStacks: { pageId: [...] } }
+async function getAllData() {
+  const [comments, stacks] = await withStores(['comments', 'jumpStacks'], 'readonly', (tx) =>
+    Promise.all([
+      promisifyRequest(tx.objectStore('comments').getAll()),
+      promisifyRequest(tx.objectStore('jumpStacks').getAll())
+    ])
+  );
+
+  const data = { comments: {}, jumpStacks: {} };
+  comments.sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+  for (const comment of comments.filter(c => !c.deletedAt)) {
+    (data.comments[comment.pageId] = data.comments[comment.pageId] || []).push(comment);
+  }
+  for (const record of stacks) {
+    data.jumpStacks[record.pageId] = record.frames;
   }
+  return data;
+}
 
-  allStacks[pageId].push(frame);
-  await chrome.storage.local.set({ jumpStacks: allStacks });
+// Import exported data - pages in the import replace the stored ones
+async function importData(data) {
+  await withStores(['comments', 'jumpStacks'], 'readwrite', async (tx) => {
+    const commentStore = tx.objectStore('comments');
+    for (const pageId in data.comments || {}) {
+      const existingKeys = await promisifyRequest(commentStore.index('pageId').getAllKeys(pageId));
+      existingKeys.forEach(key => commentStore.delete(key));
+      for (const comment of data.comments[pageId]) {
+        commentStore.put({ ...comment, pageId: comment.pageId || pageId });
+      }
+    }
+
+    const stackStore = tx.objectStore('jumpStacks');
+    for (const pageId in data.jumpStacks || {}) {
+      stackStore.put({ pageId, frames: data.jumpStacks[pageId] });
+    }
+  });
 
   return { success: true };
 }
 
-async function popJump(pageId) {
-  const result = await chrome.storage.local.get('jumpStacks');
-  const allStacks = result.jumpStacks || {};
+// Move every comment to the trash and reset jump stacks
+async function clearAll() {
+  const deletedAt = Date.now();
+  await withStores(['comments', 'jumpStacks'], 'readwrite', async (tx) => {
+    const store = tx.objectStore('comments');
+    const comments = await promisifyRequest(store.getAll());
+    comments.filter(c => !c.deletedAt).forEach(c => store.put({ ...c, deletedAt }));
+    tx.objectStore('jumpStacks').clear();
+  });
+  return { success: true };
+}
+
+async function getStats() {
+  const records = await withStores('comments', 'readonly', (tx) =>
+    promisifyRequest(tx.objectStore('comments').getAll())
+  );
+  const comments = records.filter(c => !c.deletedAt);
 
-  if (!allStacks[pageId] || allStacks[pageId].length === 0) {
-    return { success: false, frame: null };
+  return {
+    totalComments: comments.length,
+    sentComments: comments.filter(c => c.status === 'sent' || c.status === 'queued').length,
+    pages: new Set(comments.map(c => c.pageId)).size
+  };
+}
+
+// Self-hosted origins registered in the popup ([{ origin, provider }])
+const CUSTOM_HOSTS_KEY = 'customHosts';
+const PENDING_HOST_KEY = 'pendingCustomHost';
+const CUSTOM_SCRIPT_ID = 'jal-custom-hosts';
+
+// Register the content scripts on every self-hosted origin we have permission for
+async function syncCustomHostScripts() {
+  const result = await chrome.storage.local.get(CUSTOM_HOSTS_KEY);
+  const hosts = result[CUSTOM_HOSTS_KEY] || [];
+
+  const matches = [];
+  for (const host of hosts) {
+    const pattern = getOriginPattern(host.origin);
+    if (await chrome.permissions.contains({ origins: [pattern] })) {
+      matches.push(pattern);
+    }
+  }
+
+  const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [CUSTOM_SCRIPT_ID] });
+  if (registered.length > 0) {
+    await chrome.scripting.unregisterContentScripts({ ids: [CUSTOM_SCRIPT_ID] });
   }
 
-  const frame = allStacks[pageId].pop();
-  await chrome.storage.local.set({ jumpStacks: allStacks });
+  if (matches.length === 0) return;
 
-  return { success: true, frame };
+  // Same scripts and styles as the built-in hosts
+  const { js, css, run_at: runAt } = chrome.runtime.getManifest().content_scripts[0];
+  await chrome.scripting.registerContentScripts([{
+    id: CUSTOM_SCRIPT_ID,
+    matches,
+    js,
+    css,
+    runAt,
+    persistAcrossSessions: true
+  }]);
+  console.log('JAL Background: Registered content scripts for', matches.length, 'self-hosted origins');
 }
 
+// Save the host the popup was adding once its permission is granted
+// (the popup usually closes when the permission prompt opens). Returns whether it saved one
+async function savePendingCustomHost(permissions) {
+  const result = await chrome.storage.local.get([PENDING_HOST_KEY, CUSTOM_HOSTS_KEY]);
+  const pending = result[PENDING_HOST_KEY];
+  if (!pending || !(permissions.origins || []).includes(getOriginPattern(pending.origin))) return false;
+
+  const hosts = (result[CUSTOM_HOSTS_KEY] || []).filter(h => h.origin !== pending.origin);
+  hosts.push(pending);
+  await chrome.storage.local.set({ [CUSTOM_HOSTS_KEY]: hosts });
+  await chrome.storage.local.remove(PENDING_HOST_KEY);
+  console.log('JAL Background: Added self-hosted origin', pending.origin);
+  return true;
+}
+
+// Sync queue - the popup and the worker can both change the hosts, and overlapping
+// syncs would both register the same script id
+let customHostSyncQueue = Promise.resolve();
+
+function queueCustomHostSync() {
+  customHostSyncQueue = customHostSyncQueue.then(syncCustomHostScripts).catch((err) => {
+    console.error('JAL Background: Content script sync failed:', err);
+  });
+  return customHostSyncQueue;
+}
+
+// Match pattern for an origin (same as JAL.Utils.getOriginPattern - utils needs window)
+function getOriginPattern(origin) {
+  const url = new URL(origin);
+  return `${url.protocol}//${url.hostname}/*`;
+}
+
+chrome.runtime.onInstalled.addListener(() => queueCustomHostSync());
+chrome.runtime.onStartup.addListener(() => queueCustomHostSync());
+chrome.permissions.onAdded.addListener(async (permissions) => {
+  const saved = await savePendingCustomHost(permissions).catch((err) => {
+    console.error('JAL Background: Could not save the pending origin:', err);
+    return false;
+  });
+  // Saving the host re-syncs through storage.onChanged below
+  if (!saved) {
+    queueCustomHostSync();
+  }
+});
+chrome.permissions.onRemoved.addListener(() => queueCustomHostSync());
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes[CUSTOM_HOSTS_KEY]) {
+    queueCustomHostSync();
+  }
+});
+
+// Purge old trash whenever the worker starts
+enqueueWrite(() => purgeTrash(TRASH_RETENTION_DAYS));
+
 // Log extension loaded
 console.log('JAL Background Service Worker loaded');
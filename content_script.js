@@ -13,13 +13,31 @@
   JAL.state = {
     provider: null,
     adapter: null,
+    missingCapabilities: [], // Required adapter methods the active adapter lacks
+    selectorPack: null, // { version, source } of the selectors in use
     pageId: null,
     comments: [],
     selectedComments: new Set(),
     commentsInComposer: new Set(), // Track comments currently added to chatbox
+    lastComposerEntry: null, // Last #N entry written to the chatbox (for batching)
+    composerNumbers: new Map(), // commentId -> #N entry number in the chatbox (null if standalone)
     jumpStack: [],
+    hideResolved: false, // Panel filter: hide resolved and dismissed comments
+    orphans: new Map(), // commentId -> 'message' | 'quote' (what could not be found on the page)
+    orphansReady: false, // Set once loadComments stops retrying - until then orphans may just be loading
+    reattachCommentId: null, // Orphaned comment waiting for the user to select its new text
+    imageDrag: null, // { image, container, startX, startY, region } while the mouse is down on an image
+    pendingImage: null, // { image, container, region } clicked image waiting for "Comment on Image"
+    suppressImageClick: null, // Image whose click should be swallowed after a region drag
     isObserving: false,
     pendingJump: null, // Jump frame waiting for AI response
+    sendObserver: null, // Adapter's Enter/send-button hook
+    messageObserver: null, // Adapter's new assistant message observer
+    pendingMessages: new Set(), // New assistant messages waiting to be fingerprinted
+    processingMessages: false, // processNewMessages is waiting for streaming/idle time
+    composerObserver: null, // Adapter's composer observer (while comments are in the composer)
+    composerPoll: null, // Fallback interval, only runs while comments are in the composer
+    awaitingResponse: false, // A send was detected and we're waiting for the reply to start
     ui: {
       container: null,
       commentPanel: null,
@@ -28,14 +46,30 @@
     }
   };
 
+  // Send modes a comment can use (value -> label shown in the popup)
+  JAL.SEND_MODES = {
+    individual: 'Individual',
+    batched: 'Batched',
+    standalone: 'Standalone'
+  };
+
+  // Closed states - the comment has been dealt with (value -> label)
+  JAL.CLOSED_STATES = {
+    resolved: 'Resolved',
+    dismissed: "Won't fix"
+  };
+
   /**
    * Initialize JAL
    */
   JAL.init = async function() {
     console.log('JAL: Initializing...');
 
-    // Detect provider
+    // Detect provider (built-in hosts first, then self-hosted origins from the popup)
     JAL.state.provider = JAL.Utils.detectProvider();
+    if (JAL.state.provider === 'unknown') {
+      JAL.state.provider = await JAL.Utils.detectCustomProvider();
+    }
     JAL.state.adapter = JAL.Providers[JAL.state.provider];
 
     if (!JAL.state.adapter || !JAL.state.adapter.isActive()) {
@@ -45,9 +79,23 @@
 
     console.log(`JAL: Using ${JAL.state.provider} adapter`);
 
+    // Adapters read their DOM selectors from the provider's selector pack
+    if (!await JAL.loadSelectorPack()) {
+      return;
+    }
+
+    // Report interface gaps up front rather than failing mid-workflow
+    JAL.state.missingCapabilities = JAL.Providers.Base.getMissingCapabilities(JAL.state.adapter);
+    if (JAL.state.missingCapabilities.length > 0) {
+      console.warn(`JAL: ${JAL.state.provider} adapter is missing:`, JAL.state.missingCapabilities.join(', '));
+    }
+
     // Get page ID
     JAL.state.pageId = JAL.Utils.getPageId(window.location.href);
 
+    // Load the user's prompt template
+    await JAL.Templates.load();
+
     // Create UI
     JAL.UI.createOverlay();
 
@@ -76,44 +124,172 @@
   };
 
   /**
-   * Start observing for when to mark comments as "asked"
-   * Also detects when comments are removed from composer (back to draft)
-   * Uses lightweight polling - only checks when comments are pending
+   * Start watching for sends so comments in the composer can be marked "asked"
+   * Event-driven: the adapter reports Enter/send-button presses and composer edits
    */
   JAL.startComposerObserving = function() {
-    let lastAssistantCount = 0;
-    let waitingForResponse = false;
+    JAL.state.sendObserver?.disconnect();
+    JAL.state.sendObserver = JAL.state.adapter.observeSend(() => JAL.handleMessageSent());
+  };
 
-    // Poll every 3 seconds (lightweight, doesn't affect streaming)
-    setInterval(() => {
-      // Check if any comments were removed from composer
-      JAL.checkForRemovedComments();
+  /**
+   * Watch the composer while it holds comments
+   * The adapter's observer does the work; a slow poll re-attaches it when the site
+   * re-renders the composer and stops once no comments are left in it
+   */
+  JAL.watchComposer = function() {
+    JAL.attachComposerObserver();
+    if (JAL.state.composerPoll) return;
 
-      // Only proceed if we have comments in composer waiting to be marked
+    JAL.state.composerPoll = setInterval(() => {
       if (JAL.state.commentsInComposer.size === 0) {
-        waitingForResponse = false;
+        clearInterval(JAL.state.composerPoll);
+        JAL.state.composerPoll = null;
         return;
       }
+      JAL.attachComposerObserver();
+      JAL.checkForRemovedComments();
+    }, 5000);
+  };
 
-      // Count current assistant messages
-      const currentCount = JAL.state.adapter.getAssistantMessages().length;
-
-      // If we haven't started waiting yet, record the current count
-      if (!waitingForResponse) {
-        lastAssistantCount = currentCount;
-        waitingForResponse = true;
-        console.log('JAL: Comments in composer, watching for new response...');
-        return;
+  /**
+   * Observe the current composer element (no-op if it's already observed)
+   */
+  JAL.attachComposerObserver = function() {
+    const composer = JAL.state.adapter.getComposerElement();
+    if (!composer || composer === JAL.state.composerObserver?.composer) return;
+
+    JAL.state.composerObserver?.disconnect();
+    JAL.state.composerObserver = JAL.state.adapter.observeComposer((event) => {
+      if (event === 'cleared') {
+        JAL.handleMessageSent();
+      } else {
+        JAL.checkForRemovedComments();
       }
+    });
+  };
+
+  /**
+   * A send was detected (Enter, send button or composer emptied)
+   * Confirms a response started before marking comments as asked - an emptied
+   * composer with no response means the user deleted the comments instead
+   */
+  JAL.handleMessageSent = async function() {
+    if (JAL.state.commentsInComposer.size === 0 || JAL.state.awaitingResponse) return;
+
+    JAL.state.awaitingResponse = true;
+    const initialCount = JAL.state.adapter.getAssistantMessages().length;
+    const started = await JAL.waitForResponseStart(initialCount, 5000);
+    JAL.state.awaitingResponse = false;
+
+    if (started) {
+      console.log('JAL: Response started, marking comments as asked (green)');
+      JAL.markCommentsAsAsked();
+      return;
+    }
+
+    // Enter may just have added a newline - only an empty composer means the comments are gone
+    const composerContent = JAL.state.adapter.getComposerContent() || '';
+    if (composerContent.trim() !== '') return;
+
+    // No reply yet, but the prompt made it into the conversation
+    const sent = [...JAL.state.commentsInComposer].some(commentId => {
+      const comment = JAL.state.comments.find(c => c.commentId === commentId);
+      return comment && JAL.isCommentInUserMessages(comment);
+    });
+    if (sent) {
+      console.log('JAL: Prompt found in user messages, marking comments as asked (green)');
+      JAL.markCommentsAsAsked();
+      return;
+    }
 
-      // Check if a new assistant message appeared AND streaming is done
-      if (currentCount > lastAssistantCount && !JAL.isResponseStreaming()) {
-        console.log('JAL: New response complete, marking comments as asked');
-        JAL.markCommentsAsAsked();
-        waitingForResponse = false;
-        lastAssistantCount = currentCount;
+    console.log('JAL: No response detected, marking comments as draft (orange)');
+    const changes = [];
+    for (const commentId of [...JAL.state.commentsInComposer]) {
+      const comment = JAL.state.comments.find(c => c.commentId === commentId);
+      if (comment) {
+        JAL.state.commentsInComposer.delete(commentId);
+        JAL.state.composerNumbers.delete(commentId);
+        comment.status = 'draft';
+        changes.push({ commentId, updates: { status: 'draft' } });
+        JAL.UI.updateCommentVisualState(commentId, 'draft');
       }
-    }, 3000);
+    }
+    JAL.Storage.updateComments(changes);
+  };
+
+  /**
+   * Resolve true once predicate() holds, false after timeout
+   * Re-checks on changes in the messages container (coalesced), with a slow poll
+   * as a fallback for indicators that live outside the container
+   */
+  JAL.waitForCondition = function(predicate, timeout, pollInterval = 2000) {
+    return new Promise(resolve => {
+      const container = JAL.state.adapter.getMessagesContainer() || document.body;
+      let done = false;
+      let scheduled = false;
+
+      const finish = (result) => {
+        if (done) return;
+        done = true;
+        observer.disconnect();
+        clearInterval(poll);
+        clearTimeout(timer);
+        resolve(result);
+      };
+
+      const check = () => {
+        scheduled = false;
+        if (!done && predicate()) finish(true);
+      };
+
+      // Streaming fires many mutations - check at most every 200ms
+      const observer = new MutationObserver(() => {
+        if (!scheduled) {
+          scheduled = true;
+          setTimeout(check, 200);
+        }
+      });
+      observer.observe(container, {
+        childList: true,
+        subtree: true,
+        characterData: true,
+        attributes: true
+      });
+
+      const poll = setInterval(check, pollInterval);
+      const timer = setTimeout(() => finish(false), timeout);
+      check();
+    });
+  };
+
+  /**
+   * Wait for a response to start (streaming, or a new assistant message)
+   */
+  JAL.waitForResponseStart = function(initialCount, timeout) {
+    return JAL.waitForCondition(() =>
+      JAL.isResponseStreaming() || JAL.state.adapter.getAssistantMessages().length > initialCount,
+    timeout);
+  };
+
+  /**
+   * Wait for streaming to finish and the messages to stop changing
+   */
+  JAL.waitForStreamingEnd = async function(timeout) {
+    const quietPeriod = 1500;
+    const container = JAL.state.adapter.getMessagesContainer() || document.body;
+    let lastMutation = Date.now();
+
+    const observer = new MutationObserver(() => { lastMutation = Date.now(); });
+    observer.observe(container, { childList: true, subtree: true, characterData: true });
+
+    try {
+      return await JAL.waitForCondition(() =>
+        !JAL.isResponseStreaming() && Date.now() - lastMutation >= quietPeriod,
+      timeout, 1000);
+    } finally {
+      observer.disconnect();
+    }
   };
 
   /**
@@ -123,62 +299,16 @@
   JAL.checkForRemovedComments = function() {
     if (JAL.state.commentsInComposer.size === 0) return;
 
-    const composerContent = JAL.state.adapter.getComposerContent?.() || '';
+    const composerContent = JAL.state.adapter.getComposerContent() || '';
 
-    // If composer is completely empty, poll to check if response is generating
+    // An empty composer is either a send or a manual clear - find out which
     if (composerContent.trim() === '') {
-      // If already waiting, don't start another check
-      if (JAL.state._waitingForEmptyCheck) return;
-
-      JAL.state._waitingForEmptyCheck = true;
-      console.log('JAL: Composer emptied, polling to detect if message was sent...');
-
-      // Record the current assistant message count
-      const initialCount = JAL.state.adapter.getAssistantMessages?.().length || 0;
-      let pollCount = 0;
-      const maxPolls = 10; // Poll up to 10 times (5 seconds total)
-
-      const pollForResponse = () => {
-        pollCount++;
-
-        // Check if streaming is happening OR if a new message appeared
-        const isStreaming = JAL.isResponseStreaming();
-        const currentCount = JAL.state.adapter.getAssistantMessages?.().length || 0;
-        const newMessageAppeared = currentCount > initialCount;
-
-        if (isStreaming || newMessageAppeared) {
-          // Message was sent! Turn green
-          console.log('JAL: Message sent detected (streaming:', isStreaming, 'new message:', newMessageAppeared, '), marking as asked (green)');
-          JAL.state._waitingForEmptyCheck = false;
-          JAL.markCommentsAsAsked();
-          return;
-        }
-
-        if (pollCount < maxPolls) {
-          // Keep polling
-          setTimeout(pollForResponse, 500);
-        } else {
-          // Timeout - no response detected, mark as draft
-          JAL.state._waitingForEmptyCheck = false;
-          console.log('JAL: No response detected after polling, marking comments as draft (orange)');
-          for (const commentId of [...JAL.state.commentsInComposer]) {
-            const comment = JAL.state.comments.find(c => c.commentId === commentId);
-            if (comment) {
-              JAL.state.commentsInComposer.delete(commentId);
-              comment.status = 'draft';
-              JAL.Storage.updateComment(commentId, { status: 'draft' });
-              JAL.UI.updateCommentVisualState(commentId, 'draft');
-            }
-          }
-        }
-      };
-
-      // Start polling after a short delay
-      setTimeout(pollForResponse, 500);
+      JAL.handleMessageSent();
       return;
     }
 
     // Check each comment in composer (when composer has content)
+    const changes = [];
     for (const commentId of [...JAL.state.commentsInComposer]) {
       const comment = JAL.state.comments.find(c => c.commentId === commentId);
       if (!comment) continue;
@@ -190,11 +320,13 @@
       if (!composerContent.includes(bodyText)) {
         console.log('JAL: Comment removed from composer, marking as draft:', commentId);
         JAL.state.commentsInComposer.delete(commentId);
+        JAL.state.composerNumbers.delete(commentId);
         comment.status = 'draft';
-        JAL.Storage.updateComment(commentId, { status: 'draft' });
+        changes.push({ commentId, updates: { status: 'draft' } });
         JAL.UI.updateCommentVisualState(commentId, 'draft');
       }
     }
+    JAL.Storage.updateComments(changes);
   };
 
   /**
@@ -209,25 +341,224 @@
     const askedInMessageId = latestUserMessage ?
       JAL.state.adapter.markMessage(latestUserMessage) : null;
 
+    const askedCommentIds = [];
+    const changes = [];
     for (const commentId of JAL.state.commentsInComposer) {
       const comment = JAL.state.comments.find(c => c.commentId === commentId);
       if (comment) {
+        // Entry number (#N) the comment was sent under, used to find its answer
+        const askedNumber = JAL.state.composerNumbers.get(commentId) ?? null;
+
         comment.status = 'queued';
         comment.askedInMessageIndex = askedInMessageIndex;
         comment.askedInMessageId = askedInMessageId; // Keep fingerprint as backup
-        JAL.Storage.updateComment(commentId, {
-          status: 'queued',
-          askedInMessageIndex: askedInMessageIndex,
-          askedInMessageId: askedInMessageId
+        comment.askedNumber = askedNumber;
+        changes.push({
+          commentId,
+          updates: {
+            status: 'queued',
+            askedInMessageIndex: askedInMessageIndex,
+            askedInMessageId: askedInMessageId,
+            askedNumber: askedNumber
+          }
         });
         JAL.UI.updateCommentVisualState(commentId, 'asked');
+        askedCommentIds.push(commentId);
         console.log('JAL: Marked comment as asked:', commentId, 'in user message #' + askedInMessageIndex);
       }
     }
     JAL.state.commentsInComposer.clear();
+    JAL.state.composerNumbers.clear();
+
+    // One atomic write for the whole batch
+    JAL.Storage.updateComments(changes);
 
     // Re-process user messages to highlight the newly asked quotes
     JAL.processUserMessageQuotes();
+
+    // Link the assistant's reply back to the comments once it is complete
+    if (askedCommentIds.length > 0) {
+      JAL.watchForAnswer(askedCommentIds, askedInMessageIndex);
+    }
+  };
+
+  /**
+   * Wait for the assistant reply to a user message, then link it to the asked comments
+   * Waits until the reply exists, is no longer streaming and has stopped changing
+   */
+  JAL.watchForAnswer = async function(commentIds, askedInMessageIndex) {
+    const maxWait = 5 * 60 * 1000; // Give up after 5 minutes
+
+    const appeared = await JAL.waitForCondition(() => !!JAL.findAnswerMessage(askedInMessageIndex), maxWait);
+    const finished = appeared && await JAL.waitForStreamingEnd(maxWait);
+    const message = JAL.findAnswerMessage(askedInMessageIndex);
+
+    if (!finished || !message || !JAL.state.adapter.getMessageText(message)) {
+      console.log('JAL: No answer found for user message #' + askedInMessageIndex);
+      return;
+    }
+
+    JAL.linkAnswers(commentIds, message);
+  };
+
+  /**
+   * Find the assistant message that replies to a user message (1-based index)
+   */
+  JAL.findAnswerMessage = function(askedInMessageIndex) {
+    const userMessage = JAL.state.adapter.getUserMessages()[askedInMessageIndex - 1];
+    if (!userMessage) return null;
+
+    return JAL.state.adapter.getAssistantMessages().find(m =>
+      userMessage.compareDocumentPosition(m) & Node.DOCUMENT_POSITION_FOLLOWING
+    ) || null;
+  };
+
+  /**
+   * Find where each numbered entry is answered in an assistant message
+   * Matches blocks starting with "#N", headings like "2. ..." or "Comment 2: ...",
+   * and ordered list items led by bold text. Returns Map: number -> block element
+   */
+  JAL.findAnswerSections = function(messageElement, numbers) {
+    const wanted = new Set(numbers);
+    const sections = new Map();
+
+    const blocks = messageElement.querySelectorAll('h1, h2, h3, h4, h5, h6, p, li');
+    for (const block of blocks) {
+      if (sections.size === wanted.size) break;
+
+      const text = block.textContent.trim();
+      const isHeading = /^H[1-6]$/.test(block.tagName) ||
+        (block.firstElementChild?.matches('strong, b') &&
+          text.startsWith(block.firstElementChild.textContent.trim()));
+
+      let number = null;
+      const hashMatch = text.match(/^#\s*(\d+)(?!\d)/);
+      const headingMatch = text.match(/^(?:[A-Za-z]+\s*)?#?(\d+)\s*[.):：\-—]/);
+      if (hashMatch) {
+        number = parseInt(hashMatch[1], 10);
+      } else if (isHeading && headingMatch) {
+        number = parseInt(headingMatch[1], 10);
+      } else if (isHeading && block.tagName === 'LI' && block.parentElement?.tagName === 'OL') {
+        // Rendered ordered lists drop the "N." from the text
+        const start = parseInt(block.parentElement.getAttribute('start') || '1', 10);
+        number = start + [...block.parentElement.children].indexOf(block);
+      }
+
+      if (number !== null && wanted.has(number) && !sections.has(number)) {
+        sections.set(number, block);
+      }
+    }
+
+    return sections;
+  };
+
+  /**
+   * Link an assistant message to the comments it answers
+   * Each comment gets the section starting at its #N marker; when the reply
+   * has no markers (e.g. a single or standalone comment) the whole reply is used
+   */
+  JAL.linkAnswers = async function(commentIds, messageElement) {
+    const adapter = JAL.state.adapter;
+    const comments = commentIds
+      .map(id => JAL.state.comments.find(c => c.commentId === id))
+      .filter(Boolean);
+    if (comments.length === 0) return;
+
+    // Re-fingerprint: the message may have been marked while it was still streaming
+    messageElement.removeAttribute('data-jal-message');
+    const messageFingerprint = adapter.markMessage(messageElement);
+    const messageId = adapter.getMessageId(messageElement);
+    const messageIndex = adapter.getAssistantMessages().indexOf(messageElement) + 1;
+    const messageText = JAL.Utils.getTextContent(messageElement);
+
+    const numbers = [...new Set(comments.map(c => c.askedNumber).filter(n => n != null))];
+    const sections = JAL.findAnswerSections(messageElement, numbers);
+
+    // Locate each section's start in the message text (in document order)
+    const starts = new Map();
+    let searchFrom = 0;
+    for (const [number, block] of [...sections].sort(([, a], [, b]) =>
+      a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1
+    )) {
+      const blockText = block.textContent.trim().substring(0, 60);
+      const pos = messageText.indexOf(blockText, searchFrom);
+      if (pos !== -1) {
+        starts.set(number, pos);
+        searchFrom = pos + blockText.length;
+      }
+    }
+    const sortedStarts = [...starts.values()].sort((a, b) => a - b);
+
+    const createAnswer = (start) => {
+      const end = sortedStarts.find(pos => pos > start) ?? messageText.length;
+      const sectionText = messageText.substring(start, end).replace(/\s+/g, ' ').trim();
+      return {
+        messageFingerprint,
+        messageId,
+        messageIndex,
+        quoteExact: messageText.substring(start, start + 60).trimEnd(),
+        prefix: '',
+        suffix: '',
+        startHint: start,
+        preview: sectionText.length > 140 ? sectionText.substring(0, 140) + '…' : sectionText
+      };
+    };
+
+    const changes = [];
+    for (const comment of comments) {
+      let answer = null;
+      if (starts.has(comment.askedNumber)) {
+        answer = createAnswer(starts.get(comment.askedNumber));
+      } else if (starts.size === 0) {
+        answer = createAnswer(0);
+      }
+
+      if (!answer) {
+        console.log('JAL: No answer section found for comment #' + comment.askedNumber);
+        continue;
+      }
+
+      comment.answer = answer;
+      changes.push({ commentId: comment.commentId, updates: { answer } });
+      console.log('JAL: Linked comment', comment.commentId, 'to answer in assistant message #' + messageIndex);
+    }
+    await JAL.Storage.updateComments(changes);
+  };
+
+  /**
+   * Scroll to the part of the assistant reply that answers this comment
+   */
+  JAL.scrollToAnswer = function(commentId) {
+    const comment = JAL.state.comments.find(c => c.commentId === commentId);
+    if (!comment || !comment.answer) {
+      console.log('JAL: Comment has no linked answer');
+      return;
+    }
+
+    const answer = comment.answer;
+    const assistantMessages = JAL.state.adapter.getAssistantMessages();
+
+    // Find by message id / fingerprint first, fall back to the stored index
+    let targetMessage = JAL.findMessageForAnchor(answer, assistantMessages);
+    if (!targetMessage && answer.messageIndex > 0) {
+      targetMessage = assistantMessages[answer.messageIndex - 1];
+    }
+
+    if (!targetMessage) {
+      console.log('JAL: Could not find answer message. Index:', answer.messageIndex);
+      return;
+    }
+
+    // Scroll to the paragraph the answer starts at
+    const range = JAL.Anchoring.createRangeForAnchor(answer, targetMessage);
+    const startElement = range?.startContainer.parentElement;
+    const target = startElement?.closest('h1, h2, h3, h4, h5, h6, p, li') || startElement || targetMessage;
+
+    target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    JAL.Utils.flashHighlight(target);
+
+    JAL.UI.hideCommentPopup();
+    console.log('JAL: Scrolled to answer in assistant message #' + answer.messageIndex);
   };
 
   /**
@@ -316,15 +647,9 @@
       }
     }
 
-    // Fallback: find by message fingerprint from anchor
-    if (!targetMessage && comment.anchor && comment.anchor.messageFingerprint) {
-      for (const msg of assistantMessages) {
-        const fp = JAL.state.adapter.markMessage(msg);
-        if (fp === comment.anchor.messageFingerprint) {
-          targetMessage = msg;
-          break;
-        }
-      }
+    // Fallback: find by the anchor's message id / fingerprint
+    if (!targetMessage && comment.anchor) {
+      targetMessage = JAL.findMessageForAnchor(comment.anchor, assistantMessages);
     }
 
     if (!targetMessage) {
@@ -358,22 +683,26 @@
   };
 
   /**
-   * Check if ChatGPT is currently streaming a response
+   * Load the active provider's selector pack (user override or built-in) into the adapter
    */
-  JAL.isResponseStreaming = function() {
-    // ChatGPT shows a "Stop generating" button while streaming
-    const stopButton = document.querySelector('button[aria-label="Stop generating"]');
-    if (stopButton) return true;
-
-    // Also check for the streaming indicator
-    const streamingCursor = document.querySelector('.result-streaming');
-    if (streamingCursor) return true;
+  JAL.loadSelectorPack = async function() {
+    const pack = await chrome.runtime.sendMessage({ type: 'GET_SELECTOR_PACK', provider: JAL.state.provider });
+    if (!pack || pack.error) {
+      console.error('JAL: Could not load selector pack:', pack?.error);
+      return false;
+    }
 
-    // Check for any button with "stop" in the aria-label or text
-    const buttons = document.querySelectorAll('button[aria-label*="Stop"], button[aria-label*="stop"]');
-    if (buttons.length > 0) return true;
+    JAL.state.adapter.selectors = pack.selectors;
+    JAL.state.selectorPack = { version: pack.version, source: pack.source };
+    console.log(`JAL: Using ${pack.source} selector pack v${pack.version}`);
+    return true;
+  };
 
-    return false;
+  /**
+   * Check if a response is currently streaming (each site has its own indicator)
+   */
+  JAL.isResponseStreaming = function() {
+    return JAL.state.adapter?.isStreaming?.() || false;
   };
 
   /**
@@ -383,20 +712,27 @@
     try {
       const comments = await JAL.Storage.getComments(JAL.state.pageId);
       JAL.state.comments = comments;
+      JAL.state.orphansReady = false;
+      JAL.reconcileAskedComments();
       JAL.UI.renderComments();
       JAL.UI.renderHighlights();
 
       // Retry with increasing delays if highlights are missing (content might still be loading)
+      // Whatever is still missing after the last retry is listed as orphaned
       const retryRenderHighlights = (attempt, maxAttempts, delay) => {
-        const renderedCount = JAL.state.ui.highlights.size;
-        if (renderedCount < comments.length && attempt < maxAttempts) {
-          console.log(`JAL: ${comments.length - renderedCount} highlights missing, retry ${attempt + 1}/${maxAttempts} in ${delay}ms...`);
+        const missingCount = JAL.state.orphans.size;
+        if (missingCount > 0 && attempt < maxAttempts) {
+          console.log(`JAL: ${missingCount} highlights missing, retry ${attempt + 1}/${maxAttempts} in ${delay}ms...`);
           setTimeout(() => {
             JAL.markAllMessages();
             JAL.UI.renderHighlights();
             retryRenderHighlights(attempt + 1, maxAttempts, delay * 1.5);
           }, delay);
+          return;
         }
+
+        JAL.state.orphansReady = true;
+        JAL.UI.renderOrphans();
       };
       retryRenderHighlights(0, 5, 500);
     } catch (err) {
@@ -405,22 +741,38 @@
   };
 
   /**
-   * Wait for message content to be available (ChatGPT loads progressively)
+   * Wait for message content to be available (sites load messages progressively)
    */
   JAL.waitForMessageContent = async function() {
-    const maxAttempts = 30;  // Increased for slow networks
-    const delay = 100;
-
-    for (let i = 0; i < maxAttempts; i++) {
-      // Look for actual rendered markdown content
-      const markdown = document.querySelector('[data-message-author-role="assistant"] .markdown, [data-message-author-role="assistant"] .prose');
-      if (markdown && markdown.textContent && markdown.textContent.length > 10) {
-        console.log('JAL: Message content ready after', i * delay, 'ms');
-        return;
+    if (JAL.state.adapter?.waitForContent) {
+      await JAL.state.adapter.waitForContent();
+    }
+  };
+
+  /**
+   * Find the assistant message an anchor (or answer link) points at
+   * Matches the provider's message id first; the text fingerprint is the fallback
+   * for sites without ids and for anchors saved before ids were stored
+   */
+  JAL.findMessageForAnchor = function(anchor, messages = JAL.state.adapter.getAssistantMessages()) {
+    const adapter = JAL.state.adapter;
+
+    // Multi-message anchors: the first segment whose message is still on the page
+    if (anchor.type === 'multi' && anchor.segments?.length) {
+      for (const segment of anchor.segments) {
+        const message = JAL.findMessageForAnchor(segment, messages);
+        if (message) return message;
       }
-      await new Promise(resolve => setTimeout(resolve, delay));
+      return null;
     }
-    console.log('JAL: Timeout waiting for message content');
+
+    if (anchor.messageId) {
+      const byId = messages.find(m => adapter.getMessageId(m) === anchor.messageId);
+      if (byId) return byId;
+    }
+
+    if (!anchor.messageFingerprint) return null;
+    return messages.find(m => adapter.markMessage(m) === anchor.messageFingerprint) || null;
   };
 
   /**
@@ -443,6 +795,22 @@
     document.addEventListener('mouseup', JAL.handleSelection);
     document.addEventListener('keyup', JAL.handleSelection);
 
+    // Clicking or dragging over an image in a message - comment on it or a region of it
+    document.addEventListener('mousedown', JAL.handleImageMouseDown);
+    document.addEventListener('mousemove', JAL.handleImageMouseMove);
+    document.addEventListener('dragstart', (e) => {
+      if (JAL.state.imageDrag) e.preventDefault();
+    });
+    document.addEventListener('click', (e) => {
+      // A region drag ends in a click - don't let the site open its image viewer
+      const image = JAL.state.suppressImageClick;
+      JAL.state.suppressImageClick = null;
+      if (image && image.contains(e.target)) {
+        e.preventDefault();
+        e.stopPropagation();
+      }
+    }, true);
+
     // Keyboard commands
     chrome.runtime.onMessage.addListener((message) => {
       if (message.type === 'COMMAND') {
@@ -498,6 +866,9 @@
     // Process user messages to highlight selection quotes (depends on comments being loaded)
     JAL.processUserMessageQuotes();
 
+    // The conversation's messages container may have been replaced
+    JAL.startObserving();
+
     console.log('JAL: Reinitialized for new conversation');
   };
 
@@ -507,6 +878,18 @@
   JAL.handleSelection = function(e) {
     const selection = window.getSelection();
 
+    // A click or drag on an image ends here too
+    const drag = JAL.state.imageDrag;
+    JAL.state.imageDrag = null;
+    if (e?.type === 'mouseup' && drag && (!selection || selection.isCollapsed)) {
+      JAL.showImageTarget(drag);
+      return;
+    }
+    if (e?.type === 'mouseup') {
+      if (e.target?.closest?.('#jal-floating-btn')) return;
+      JAL.clearPendingImage();
+    }
+
     if (!selection || selection.isCollapsed || selection.toString().trim().length === 0) {
       JAL.UI.hideFloatingButton();
       return;
@@ -516,7 +899,14 @@
     const container = JAL.state.adapter.findMessageContainer(range.commonAncestorContainer);
 
     if (!container || !JAL.state.adapter.isAssistantMessage(container)) {
-      JAL.UI.hideFloatingButton();
+      // A selection across several replies - offer the button at its end, in the last reply
+      const messages = JAL.getMessagesInRange(range);
+      if (messages.length < 2) {
+        JAL.UI.hideFloatingButton();
+        return;
+      }
+      const rects = range.getClientRects();
+      JAL.UI.showFloatingButton(rects[rects.length - 1] || range.getBoundingClientRect(), messages[messages.length - 1]);
       return;
     }
 
@@ -524,6 +914,103 @@
     JAL.UI.showFloatingButton(rect, container);
   };
 
+  /**
+   * Get the assistant messages a range touches, in page order
+   */
+  JAL.getMessagesInRange = function(range) {
+    return JAL.state.adapter.getAssistantMessages().filter(m => range.intersectsNode(m));
+  };
+
+  /**
+   * Get the commentable image an element is in, if it belongs to an assistant message
+   * Returns { image, container } or null
+   */
+  JAL.getImageTarget = function(target) {
+    if (!target || target.nodeType !== Node.ELEMENT_NODE) return null;
+
+    const image = JAL.Anchoring.getImageElement(target);
+    if (!image || !JAL.Anchoring.isCommentableImage(image)) return null;
+
+    // Too small on screen to click or drag a region on
+    const rect = image.getBoundingClientRect();
+    if (rect.width < 48 || rect.height < 48) return null;
+
+    const container = JAL.state.adapter.findMessageContainer(image);
+    if (!container || !JAL.state.adapter.isAssistantMessage(container)) return null;
+
+    return { image, container };
+  };
+
+  /**
+   * Start tracking a possible image click or region drag
+   */
+  JAL.handleImageMouseDown = function(e) {
+    if (e.button !== 0) return;
+
+    const target = JAL.getImageTarget(e.target);
+    if (!target) return;
+
+    JAL.state.imageDrag = { ...target, startX: e.clientX, startY: e.clientY, region: null };
+  };
+
+  /**
+   * Draw the region rectangle while dragging over an image
+   * Small movements are treated as a click on the whole image
+   */
+  JAL.handleImageMouseMove = function(e) {
+    const drag = JAL.state.imageDrag;
+    if (!drag) return;
+    if (!drag.region && Math.abs(e.clientX - drag.startX) < 5 && Math.abs(e.clientY - drag.startY) < 5) return;
+
+    // Stop the drag from selecting text around the image
+    e.preventDefault();
+
+    const rect = drag.image.getBoundingClientRect();
+    const clampX = x => Math.min(Math.max(x, rect.left), rect.right);
+    const clampY = y => Math.min(Math.max(y, rect.top), rect.bottom);
+    const left = Math.min(clampX(drag.startX), clampX(e.clientX));
+    const right = Math.max(clampX(drag.startX), clampX(e.clientX));
+    const top = Math.min(clampY(drag.startY), clampY(e.clientY));
+    const bottom = Math.max(clampY(drag.startY), clampY(e.clientY));
+
+    const round = n => Math.round(n * 1000) / 1000;
+    drag.region = {
+      x: round((left - rect.left) / rect.width),
+      y: round((top - rect.top) / rect.height),
+      width: round((right - left) / rect.width),
+      height: round((bottom - top) / rect.height)
+    };
+    JAL.UI.showImageRegion(drag.image, drag.container, drag.region);
+  };
+
+  /**
+   * Offer a comment on a clicked image (or the region dragged on it)
+   */
+  JAL.showImageTarget = function(drag) {
+    const { image, container } = drag;
+
+    // A drag too thin to mean anything counts as a click
+    let region = drag.region;
+    if (region && (region.width < 0.02 || region.height < 0.02)) region = null;
+    if (drag.region) JAL.state.suppressImageClick = image;
+
+    JAL.state.pendingImage = { image, container, region };
+    if (!region) JAL.UI.hideImageRegion();
+
+    const rect = JAL.UI.getImageRegionRect(image, region);
+    const label = JAL.state.reattachCommentId ? 'Re-attach Here' : (region ? 'Comment on Region' : 'Comment on Image');
+    JAL.UI.showFloatingButton(rect, container, label);
+  };
+
+  /**
+   * Forget the clicked image and its region rectangle
+   */
+  JAL.clearPendingImage = function() {
+    if (!JAL.state.pendingImage) return;
+    JAL.state.pendingImage = null;
+    JAL.UI.hideImageRegion();
+  };
+
   /**
    * Handle keyboard commands
    */
@@ -548,18 +1035,38 @@
    * Add a comment from current selection
    */
   JAL.addCommentFromSelection = async function() {
+    // An orphaned comment is waiting for new text - the selection is for it
+    if (JAL.state.reattachCommentId) {
+      await JAL.reattachFromSelection();
+      return;
+    }
+
+    const selected = JAL.getSelectionAnchor();
+    if (!selected) return;
+
+    // Show comment input UI with source index
+    JAL.UI.showCommentInput(selected.anchor, selected.container, selected.sourceMessageIndex);
+  };
+
+  /**
+   * Build an anchor from the current selection
+   * Returns { anchor, container, sourceMessageIndex } or null
+   */
+  JAL.getSelectionAnchor = function() {
     const selection = window.getSelection();
     if (!selection || selection.isCollapsed) {
+      if (JAL.state.pendingImage) return JAL.getImageAnchor();
       console.log('JAL: No selection');
-      return;
+      return null;
     }
 
     const range = selection.getRangeAt(0);
     const container = JAL.state.adapter.findMessageContainer(range.commonAncestorContainer);
 
     if (!container) {
-      console.log('JAL: Selection not in a message');
-      return;
+      const multi = JAL.getMultiMessageAnchor(range);
+      if (!multi) console.log('JAL: Selection not in a message');
+      return multi;
     }
 
     // Ensure message is marked
@@ -572,13 +1079,189 @@
     const messageText = JAL.state.adapter.getMessageText(container);
     const anchor = JAL.Anchoring.createAnchor(selection, container, messageText);
 
-    if (!anchor) {
-      console.log('JAL: Could not create anchor');
+    if (!anchor) {
+      console.log('JAL: Could not create anchor');
+      return null;
+    }
+    // The anchor builders don't know the provider, so its message id is added here
+    anchor.messageId = JAL.state.adapter.getMessageId(container);
+
+    return { anchor, container, sourceMessageIndex };
+  };
+
+  /**
+   * Build an anchor for a selection spanning several assistant messages,
+   * one segment per message
+   * Returns { anchor, container, sourceMessageIndex } or null
+   */
+  JAL.getMultiMessageAnchor = function(range) {
+    const adapter = JAL.state.adapter;
+    const assistantMessages = adapter.getAssistantMessages();
+    const messages = JAL.getMessagesInRange(range);
+    if (messages.length < 2) return null;
+
+    const segments = [];
+    for (const message of messages) {
+      adapter.markMessage(message);
+      const messageRange = JAL.Anchoring.clipRange(range, message);
+      const anchor = JAL.Anchoring.createAnchorFromRange(messageRange, message, adapter.getMessageText(message));
+      if (!anchor) continue;
+
+      anchor.messageId = adapter.getMessageId(message);
+      anchor.sourceMessageIndex = assistantMessages.indexOf(message) + 1;
+      segments.push({ anchor, message });
+    }
+    if (segments.length === 0) return null;
+
+    // Only one message had any selected text - an ordinary anchor
+    if (segments.length === 1) {
+      const { anchor, message } = segments[0];
+      const { sourceMessageIndex, ...single } = anchor;
+      return { anchor: single, container: message, sourceMessageIndex };
+    }
+
+    return {
+      anchor: JAL.Anchoring.createMultiAnchor(segments.map(s => s.anchor)),
+      container: segments[0].message,
+      sourceMessageIndex: segments[0].anchor.sourceMessageIndex
+    };
+  };
+
+  /**
+   * Build an anchor from the clicked image (and its region, if one was dragged)
+   * Returns { anchor, container, sourceMessageIndex } or null
+   */
+  JAL.getImageAnchor = function() {
+    const { image, container, region } = JAL.state.pendingImage;
+    JAL.clearPendingImage();
+
+    JAL.state.adapter.markMessage(container);
+    const sourceMessageIndex = JAL.state.adapter.getAssistantMessages().indexOf(container) + 1;
+    const messageText = JAL.state.adapter.getMessageText(container);
+
+    const anchor = JAL.Anchoring.createImageAnchor(image, container, messageText, region);
+    if (!anchor) {
+      console.log('JAL: Could not create image anchor');
+      return null;
+    }
+    anchor.messageId = JAL.state.adapter.getMessageId(container);
+
+    return { anchor, container, sourceMessageIndex };
+  };
+
+  /**
+   * Start re-attaching an orphaned comment - the next "+ Comment" selection becomes its anchor
+   */
+  JAL.startReattach = function(commentId) {
+    JAL.state.reattachCommentId = commentId;
+    JAL.UI.showReattachBanner();
+  };
+
+  /**
+   * Leave re-attach mode without changing the comment
+   */
+  JAL.cancelReattach = function() {
+    JAL.state.reattachCommentId = null;
+    JAL.UI.hideReattachBanner();
+    JAL.UI.hideFloatingButton();
+  };
+
+  /**
+   * Move the orphaned comment being re-attached onto the current selection
+   */
+  JAL.reattachFromSelection = async function() {
+    const commentId = JAL.state.reattachCommentId;
+    const comment = JAL.state.comments.find(c => c.commentId === commentId);
+    if (!comment) {
+      JAL.cancelReattach();
+      return;
+    }
+
+    const selected = JAL.getSelectionAnchor();
+    if (!selected) return;
+
+    const updates = { anchor: selected.anchor, sourceMessageIndex: selected.sourceMessageIndex };
+    Object.assign(comment, updates);
+    await JAL.Storage.updateComment(commentId, updates);
+
+    JAL.cancelReattach();
+    window.getSelection().removeAllRanges();
+    JAL.UI.renderComments();
+    JAL.UI.renderHighlights();
+    console.log('JAL: Re-attached comment', commentId, 'to assistant message #' + selected.sourceMessageIndex);
+  };
+
+  /**
+   * Select the text that best matches an orphaned comment's quote and offer to re-attach there
+   */
+  JAL.jumpToBestCandidate = function(commentId) {
+    const comment = JAL.state.comments.find(c => c.commentId === commentId);
+    if (!comment) return;
+
+    const adapter = JAL.state.adapter;
+    const messages = adapter.getAssistantMessages();
+    const anchor = comment.anchor;
+
+    // Images have no text to compare (the quote is just a label) - look for the same picture
+    if (anchor.type === 'image' && anchor.image) {
+      const image = anchor.image.src && messages
+        .flatMap(m => JAL.Anchoring.getImageElements(m))
+        .find(img => JAL.Anchoring.getImageSrc(img) === anchor.image.src);
+      if (!image) {
+        alert('No matching image found on this page.');
+        return;
+      }
+
+      // The user clicks the image (or drags a region) to re-attach
+      JAL.startReattach(commentId);
+      JAL.Utils.scrollToElement(image, 100);
+      JAL.Utils.flashHighlight(image);
+      return;
+    }
+
+    // A quote spanning several messages can't match one of them - search each segment
+    const searchAnchors = anchor.type === 'multi' && anchor.segments?.length ? anchor.segments : [anchor];
+    const texts = messages.map(m => adapter.getMessageText(m));
+    let best = null;
+    let source = null;
+    for (const searchAnchor of searchAnchors) {
+      const found = JAL.Anchoring.findBestCandidate(searchAnchor, texts);
+      if (found && (!best || found.score > best.score)) {
+        best = found;
+        source = searchAnchor;
+      }
+    }
+
+    if (!best) {
+      alert('No similar text found on this page.');
       return;
     }
 
-    // Show comment input UI with source index
-    JAL.UI.showCommentInput(anchor, container, sourceMessageIndex);
+    // Resolve the candidate like a text anchor so equations and skipped nodes map correctly
+    // (typed positions would point back at where the comment used to be)
+    const message = messages[best.index];
+    const { code, table, equation, segments, ...textAnchor } = source;
+    const candidate = {
+      ...textAnchor,
+      type: 'text',
+      quoteExact: texts[best.index].substr(best.position, best.length),
+      startHint: best.position
+    };
+    const { range } = JAL.Anchoring.resolveAnchor(candidate, message);
+    if (!range) {
+      alert('No similar text found on this page.');
+      return;
+    }
+
+    JAL.startReattach(commentId);
+
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+    JAL.Utils.scrollToElement(range.startContainer.parentElement, 100);
+    JAL.handleSelection();
+
+    console.log(`JAL: Best match for comment ${commentId} in assistant message #${best.index + 1} (score ${best.score.toFixed(2)})`);
   };
 
   /**
@@ -602,14 +1285,194 @@
     window.getSelection().removeAllRanges();
   };
 
+  /**
+   * Get the replies in a comment's thread, oldest first
+   * Replies store the root comment's id as their threadId
+   */
+  JAL.getThreadReplies = function(commentId) {
+    return JAL.state.comments
+      .filter(c => c.threadId === commentId)
+      .sort((a, b) => a.createdAt - b.createdAt);
+  };
+
+  /**
+   * Get a comment's body with its thread replies appended (sent together)
+   */
+  JAL.getThreadBody = function(comment) {
+    const replies = JAL.getThreadReplies(comment.commentId);
+    if (replies.length === 0) return comment.body;
+    return [comment.body, ...replies.map(r => `↳ ${r.body}`)].join('\n');
+  };
+
+  /**
+   * Save a reply to an existing comment
+   * The reply shares the root comment's anchor and has no highlight of its own
+   */
+  JAL.saveReply = async function(rootCommentId, body) {
+    const root = JAL.state.comments.find(c => c.commentId === rootCommentId);
+    if (!root) {
+      console.log('JAL: Root comment not found for reply');
+      return null;
+    }
+
+    const reply = JAL.Storage.createComment(
+      JAL.state.pageId,
+      root.anchor,
+      body,
+      { status: 'draft', threadId: root.commentId }
+    );
+    reply.sourceMessageIndex = root.sourceMessageIndex || 0;
+
+    await JAL.Storage.saveComment(reply);
+    JAL.state.comments.push(reply);
+
+    JAL.UI.renderCommentsOnly();
+    return reply;
+  };
+
+  /**
+   * Delete a comment along with its thread replies, and remove its highlights
+   * Deleted comments go to the trash, so an undo toast is shown
+   */
+  JAL.deleteComment = async function(commentId) {
+    const ids = [commentId, ...JAL.getThreadReplies(commentId).map(r => r.commentId)];
+
+    await JAL.Storage.deleteComments(ids);
+    for (const id of ids) {
+      JAL.state.selectedComments.delete(id);
+      JAL.state.commentsInComposer.delete(id);
+      JAL.state.composerNumbers.delete(id);
+    }
+    JAL.state.comments = JAL.state.comments.filter(c => !ids.includes(c.commentId));
+
+    const highlights = JAL.state.ui.highlights.get(commentId);
+    if (highlights) {
+      highlights.forEach(el => el.remove());
+      JAL.state.ui.highlights.delete(commentId);
+    }
+
+    const message = ids.length > 1
+      ? `Comment and ${ids.length - 1} ${ids.length === 2 ? 'reply' : 'replies'} moved to trash`
+      : 'Comment moved to trash';
+    JAL.UI.showUndoToast(message, () => JAL.restoreComments(ids));
+  };
+
+  /**
+   * Restore comments from the trash and show them again
+   */
+  JAL.restoreComments = async function(commentIds) {
+    await JAL.Storage.restoreComments(commentIds);
+    JAL.state.comments = await JAL.Storage.getComments(JAL.state.pageId);
+    JAL.UI.renderComments();
+    JAL.UI.renderHighlights();
+    console.log('JAL: Restored', commentIds.length, 'comments from trash');
+  };
+
+  /**
+   * Check if a comment is resolved or dismissed
+   */
+  JAL.isCommentClosed = function(comment) {
+    return !!comment && !!JAL.CLOSED_STATES[comment.status];
+  };
+
+  /**
+   * Resolve or dismiss a comment, remembering its status so it can be reopened
+   */
+  JAL.closeComment = async function(commentId, closedStatus) {
+    const comment = JAL.state.comments.find(c => c.commentId === commentId);
+    if (!comment || !JAL.CLOSED_STATES[closedStatus]) return;
+
+    // Comments in the chatbox are about to be asked - close them afterwards
+    if (JAL.state.commentsInComposer.has(commentId)) {
+      alert('Cannot resolve a comment while it is in the chat');
+      return;
+    }
+
+    const updates = {
+      status: closedStatus,
+      statusBeforeResolve: JAL.isCommentClosed(comment) ? comment.statusBeforeResolve : comment.status,
+      resolvedAt: Date.now()
+    };
+    Object.assign(comment, updates);
+    await JAL.Storage.updateComment(commentId, updates);
+    JAL.state.selectedComments.delete(commentId);
+
+    JAL.UI.updateCommentVisualState(commentId, closedStatus);
+    console.log('JAL: Comment', commentId, 'marked as', closedStatus);
+  };
+
+  /**
+   * Reopen a resolved or dismissed comment with the status it had before
+   */
+  JAL.reopenComment = async function(commentId) {
+    const comment = JAL.state.comments.find(c => c.commentId === commentId);
+    if (!JAL.isCommentClosed(comment)) return;
+
+    const updates = {
+      status: comment.statusBeforeResolve || 'draft',
+      statusBeforeResolve: null,
+      resolvedAt: null
+    };
+    Object.assign(comment, updates);
+    await JAL.Storage.updateComment(commentId, updates);
+
+    JAL.UI.updateCommentVisualState(commentId, JAL.getCommentVisualState(commentId));
+    console.log('JAL: Comment', commentId, 'reopened as', comment.status);
+  };
+
   /**
    * Start observing for new assistant messages
-   * DISABLED - causes performance issues during streaming
+   * New messages are queued and processed once streaming ends, in idle time
    */
   JAL.startObserving = function() {
-    // Intentionally empty - no observers needed
-    // Comments are loaded on page load and URL change
-    JAL.state.isObserving = true;
+    JAL.state.messageObserver?.disconnect();
+    JAL.state.messageObserver = JAL.state.adapter.observeNewMessages(msg => JAL.queueNewMessage(msg));
+    JAL.state.isObserving = !!JAL.state.messageObserver;
+  };
+
+  /**
+   * Queue a new assistant message for fingerprinting and highlighting
+   */
+  JAL.queueNewMessage = function(msg) {
+    JAL.state.pendingMessages.add(msg);
+    if (JAL.state.processingMessages) return;
+
+    JAL.state.processingMessages = true;
+    JAL.processNewMessages();
+  };
+
+  /**
+   * Fingerprint queued messages and re-render highlights
+   * Waits for streaming to end (a mid-stream fingerprint would hash partial text),
+   * then does the work in one idle callback
+   */
+  JAL.processNewMessages = async function() {
+    if (JAL.isResponseStreaming()) {
+      await JAL.waitForStreamingEnd(5 * 60 * 1000);
+    }
+
+    requestIdleCallback(() => {
+      const adapter = JAL.state.adapter;
+      const messages = [...JAL.state.pendingMessages].filter(msg => msg.isConnected);
+      JAL.state.pendingMessages.clear();
+      JAL.state.processingMessages = false;
+
+      if (messages.length === 0) return;
+
+      const usedFingerprints = new Set(JAL.state.comments.map(c => c.anchor?.messageFingerprint));
+      for (const msg of messages) {
+        // Re-fingerprint with the final text unless a comment already points at the old one
+        const existingFp = msg.getAttribute('data-jal-message');
+        if (existingFp && !usedFingerprints.has(existingFp)) {
+          msg.removeAttribute('data-jal-message');
+        }
+        adapter.markMessage(msg);
+      }
+
+      console.log('JAL: Processed', messages.length, 'new message(s)');
+      JAL.UI.renderHighlights();
+      JAL.processUserMessageQuotes();
+    }, { timeout: 2000 });
   };
 
   /**
@@ -637,8 +1500,9 @@
     });
 
     // Get comments that have been asked (sent in user messages)
+    // Replies share their root's quote, so only roots are highlighted
     const askedComments = JAL.state.comments.filter(c =>
-      c.askedInMessageIndex && c.anchor && c.anchor.quoteExact
+      !c.threadId && c.askedInMessageIndex && c.anchor && c.anchor.quoteExact
     );
 
     if (askedComments.length === 0) {
@@ -674,7 +1538,7 @@
       console.log('JAL Quote Debug: User message text preview:', msgElement.textContent?.substring(0, 200));
 
       // Get all quote texts to highlight in this message
-      const quotesToHighlight = comments.map(c => c.anchor.quoteExact);
+      const quotesToHighlight = comments.map(c => JAL.getPromptQuote(c.anchor));
       console.log('JAL Quote Debug: Looking for quotes:', quotesToHighlight);
 
       // Highlight each quote in this message
@@ -705,13 +1569,16 @@
       }
     }
 
+    // Literal text the active template puts before the quote (e.g. →" in the compact format)
+    const quotePrefix = JAL.Templates.getLiteralBefore(JAL.Templates.getActive(), 'quote');
+
     // For each quote, find and wrap it in the text nodes
     quotes.forEach((quoteExact, idx) => {
       const normalizedQuote = normalize(quoteExact);
       const comment = comments[idx];
 
       // Search through text nodes to find the quote
-      // We need to find the quote in the →"..." pattern, not in the 【...】 context
+      // We need to find the quote after the template's quote prefix (→"...), not in the 【...】 context
       for (let i = 0; i < textNodes.length; i++) {
         const textNode = textNodes[i];
         const text = textNode.textContent;
@@ -722,29 +1589,30 @@
         if (quoteIndex === -1) continue;
 
         // Find the actual position in the original text
-        // Look for the quote after →" pattern (the actual quote line, not context)
+        // Look for the quote after the prefix pattern (the actual quote line, not context)
         let originalIndex = -1;
 
-        // Method 1: Look for →"quote pattern
-        const arrowQuotePattern = '→"' + quoteExact;
-        const arrowIndex = text.indexOf(arrowQuotePattern);
-        if (arrowIndex !== -1) {
-          originalIndex = arrowIndex + 2; // Skip →"
+        // Method 1: Look for prefix+quote pattern
+        if (quotePrefix) {
+          const arrowIndex = text.indexOf(quotePrefix + quoteExact);
+          if (arrowIndex !== -1) {
+            originalIndex = arrowIndex + quotePrefix.length; // Skip prefix
+          }
         }
 
-        // Method 2: Look for any →" and check if quote follows
-        if (originalIndex === -1) {
+        // Method 2: Look for any prefix and check if quote follows
+        if (quotePrefix && originalIndex === -1) {
           let searchStart = 0;
           while (searchStart < text.length) {
-            const arrowPos = text.indexOf('→"', searchStart);
+            const arrowPos = text.indexOf(quotePrefix, searchStart);
             if (arrowPos === -1) break;
 
-            const afterArrow = text.substring(arrowPos + 2);
+            const afterArrow = text.substring(arrowPos + quotePrefix.length);
             if (afterArrow.startsWith(quoteExact) || normalize(afterArrow).startsWith(normalizedQuote)) {
-              originalIndex = arrowPos + 2;
+              originalIndex = arrowPos + quotePrefix.length;
               break;
             }
-            searchStart = arrowPos + 2;
+            searchStart = arrowPos + quotePrefix.length;
           }
         }
 
@@ -870,12 +1738,19 @@
       return;
     }
 
+    const adapter = JAL.state.adapter;
+
+    // A standalone comment is sent as its own message, so it replaces the composer
+    // and is sent alone - any other selected comments stay selected for the next send
+    const standalone = selected.find(c => JAL.getSendMode(c) === 'standalone');
+    const toSend = standalone ? [standalone] : selected;
+
     // Create jump frame
     const currentMessage = JAL.state.comments[0]?.anchor?.messageFingerprint;
     const frame = JAL.Storage.createJumpFrame(
       currentMessage,
-      JAL.state.adapter.getScrollPosition(),
-      selected.map(c => c.commentId)
+      adapter.getScrollPosition(),
+      toSend.map(c => c.commentId)
     );
 
     // Push to stack
@@ -884,67 +1759,226 @@
     // Set pending jump to detect the response
     JAL.state.pendingJump = frame;
 
-    // Compose the prompt
-    const prompt = JAL.composePrompt(selected);
-
-    // Insert into composer
-    const success = JAL.state.adapter.insertIntoComposer(prompt);
+    // Compose the prompt and insert into composer
+    let prompt;
+    let success;
+    let startNumber = null;
+    if (standalone) {
+      prompt = JAL.composeStandalonePrompt(standalone);
+      success = adapter.insertIntoComposer(prompt);
+    } else {
+      // Individual and batched comments are appended, continuing the numbering
+      const existingContent = adapter.getComposerContent ? adapter.getComposerContent() : '';
+      startNumber = JAL.getNextComposerNumber(existingContent);
+      prompt = JAL.composePrompt(toSend, startNumber);
+      success = adapter.appendToComposer ? adapter.appendToComposer(prompt) : adapter.insertIntoComposer(prompt);
+    }
 
     if (success) {
-      // Mark comments as queued
-      for (const comment of selected) {
-        await JAL.Storage.updateComment(comment.commentId, { status: 'queued' });
-        const idx = JAL.state.comments.findIndex(c => c.commentId === comment.commentId);
-        if (idx !== -1) {
-          JAL.state.comments[idx].status = 'queued';
-        }
+      // Track the entry numbers so the send is detected and the answer linked back
+      if (standalone) {
+        JAL.checkForRemovedComments();
+        JAL.trackInComposer(standalone, null);
+      } else {
+        JAL.groupCommentsForPrompt(toSend).forEach((group, idx) => {
+          group.forEach(c => JAL.trackInComposer(c, startNumber + idx));
+        });
       }
+      JAL.state.lastComposerEntry = null;
+      JAL.watchComposer();
+      toSend.forEach(c => JAL.UI.updateCommentVisualState(c.commentId, 'added'));
+
+      // Mark comments (and their thread replies) as queued
+      const threadComments = toSend.flatMap(c => [c, ...JAL.getThreadReplies(c.commentId)]);
+      await JAL.Storage.updateComments(threadComments.map(c => ({
+        commentId: c.commentId,
+        updates: { status: 'queued' }
+      })));
+      threadComments.forEach(c => { c.status = 'queued'; });
 
       JAL.UI.renderComments();
 
-      // Clear selection
-      JAL.state.selectedComments.clear();
+      // Clear selection of the comments that were sent
+      toSend.forEach(c => JAL.state.selectedComments.delete(c.commentId));
+      if (JAL.state.selectedComments.size > 0) {
+        console.log('JAL: Standalone comment sent alone,', JAL.state.selectedComments.size, 'comments still selected');
+      }
     } else {
       alert('Could not insert into composer. Please paste manually:\n\n' + prompt);
     }
   };
 
   /**
-   * Compose a prompt from selected comments
+   * Get a comment's send mode, falling back to individual for unknown values
+   */
+  JAL.getSendMode = function(comment) {
+    return JAL.SEND_MODES[comment?.sendMode] ? comment.sendMode : 'individual';
+  };
+
+  /**
+   * Group comments into numbered prompt entries based on their send mode
+   * Individual comments get an entry each; batched comments quoting the same
+   * assistant response share one entry. Standalone comments are not grouped.
+   */
+  JAL.groupCommentsForPrompt = function(comments) {
+    const groups = [];
+    const batchedGroups = new Map(); // source message -> group
+
+    for (const comment of comments) {
+      const mode = JAL.getSendMode(comment);
+      if (mode === 'standalone') continue;
+
+      if (mode === 'batched') {
+        const key = JAL.getSourceKey(comment);
+        if (batchedGroups.has(key)) {
+          batchedGroups.get(key).push(comment);
+          continue;
+        }
+        const group = [comment];
+        batchedGroups.set(key, group);
+        groups.push(group);
+        continue;
+      }
+
+      groups.push([comment]);
+    }
+
+    return groups;
+  };
+
+  /**
+   * Key identifying the assistant response a comment quotes (for batching)
+   */
+  JAL.getSourceKey = function(comment) {
+    if (comment.sourceMessageIndex) return `index:${comment.sourceMessageIndex}`;
+    if (comment.anchor?.messageId) return `id:${comment.anchor.messageId}`;
+    return `fp:${comment.anchor?.messageFingerprint || ''}`;
+  };
+
+  /**
+   * Get the next entry number from JAL content already in the composer
+   * Looks for the {index} line of the active template (e.g. "#1", "#2")
+   */
+  JAL.getNextComposerNumber = function(content) {
+    const jalPattern = JAL.Templates.getIndexPattern(JAL.Templates.getActive());
+    if (!jalPattern) return 1;
+
+    const matches = [...(content || '').matchAll(jalPattern)];
+    if (matches.length === 0) return 1;
+
+    const numbers = matches.map(m => parseInt(m[1], 10));
+    return Math.max(...numbers) + 1;
+  };
+
+  /**
+   * Get the quote text sent to the model for an anchor
+   * Equations are sent as their TeX source when it was captured
+   */
+  JAL.getPromptQuote = function(anchor) {
+    if (anchor.type === 'multi' && anchor.segments) {
+      return anchor.segments.map(segment => JAL.getPromptQuote(segment)).join(' … ');
+    }
+    if (anchor.type === 'image' && anchor.image) {
+      const { imageIndex, region } = anchor.image;
+      const percent = n => `${Math.round(n * 100)}%`;
+      const area = region
+        ? ` (the region from ${percent(region.x)} to ${percent(region.x + region.width)} across` +
+          ` and ${percent(region.y)} to ${percent(region.y + region.height)} down)`
+        : '';
+      return `the ${JAL.Utils.ordinal(imageIndex + 1)} image in your previous response${area}`;
+    }
+    return anchor.quoteTex || anchor.quoteExact;
+  };
+
+  /**
+   * Get the context sent to the model for a single-message anchor
    */
-  JAL.composePrompt = function(comments) {
+  JAL.getPromptContext = function(anchor) {
+    if (anchor.type === 'code' && anchor.code) {
+      // Code keeps its line breaks and indentation - send the selected lines as a fenced block
+      const { language, startLine, endLine } = anchor.code;
+      const lines = startLine === endLine ? `line ${startLine}` : `lines ${startLine}-${endLine}`;
+      return `${lines}:\n\`\`\`${language}\n${anchor.contextSentences}\n\`\`\`\n`;
+    }
+
+    // Use contextSentences (complete sentences containing the quote), whitespace collapsed
+    const context = anchor.contextSentences ? anchor.contextSentences.replace(/\s+/g, ' ').trim() : '';
+    return context || "(context not captured)";
+  };
+
+  /**
+   * Get the template values for a comment
+   */
+  JAL.getPromptVars = function(comment, index = 1) {
     // Normalize whitespace: collapse all whitespace (spaces, newlines, tabs) to single space
     const normalize = (text) => text ? text.replace(/\s+/g, ' ').trim() : '';
 
-    let prompt = "";
+    const anchor = comment.anchor;
+    let context = JAL.getPromptContext(anchor);
+    let source = comment.sourceMessageIndex || '?';
+
+    // A selection across replies cites each one: "Response 2: ... Response 3: ..."
+    if (anchor.type === 'multi' && anchor.segments) {
+      const sources = anchor.segments.map(segment => segment.sourceMessageIndex || '?');
+      context = anchor.segments
+        .map((segment, i) => `Response ${sources[i]}: ${JAL.getPromptContext(segment)}`)
+        .join('\n');
+      source = sources.join(', ');
+    }
 
-    comments.forEach((comment, idx) => {
-      const anchor = comment.anchor;
-      const quote = normalize(anchor.quoteExact);
+    return {
+      context,
+      quote: normalize(JAL.getPromptQuote(anchor)),
+      body: JAL.getThreadBody(comment),
+      index,
+      source
+    };
+  };
 
-      // Use contextSentences (complete sentences containing the quote)
-      let context = normalize(anchor.contextSentences);
-      if (!context) {
-        context = "(context not captured)";
-      }
+  /**
+   * Compose a prompt from selected comments using the active template
+   */
+  JAL.composePrompt = function(comments, startNumber = 1) {
+    return JAL.groupCommentsForPrompt(comments)
+      .map((group, idx) => JAL.composePromptEntry(group, startNumber + idx))
+      .join('\n\n')
+      .trim();
+  };
 
-      prompt += `#${idx + 1}\n`;
-      prompt += `Context:\n`;
-      prompt += `In your previous response, you were discussing:\n`;
-      prompt += `"${context}"\n\n`;
-      prompt += `Focus:\n`;
-      prompt += `I am referring specifically to:\n`;
-      prompt += `"${quote}"\n\n`;
-      prompt += `Follow-up:\n`;
-      prompt += `Respond to my comment below:\n`;
-      prompt += `${comment.body}\n\n`;
-    });
+  /**
+   * Compose a prompt for a standalone comment (no entry number)
+   */
+  JAL.composeStandalonePrompt = function(comment) {
+    const template = JAL.Templates.getActive();
+    return JAL.Templates.render(template, JAL.getPromptVars(comment), { omit: ['index'] }).trim();
+  };
 
-    return prompt.trim();
+  /**
+   * Compose one numbered prompt entry
+   * Batched comments after the first drop the entry number, and the context
+   * too when it is the same as the previous comment's
+   */
+  JAL.composePromptEntry = function(comments, number) {
+    const template = JAL.Templates.getActive();
+    let lastContext = null;
+
+    return comments.map((comment, idx) => {
+      const vars = JAL.getPromptVars(comment, number);
+      const omit = [];
+      if (idx > 0) omit.push('index');
+      if (vars.context === lastContext) omit.push('context');
+      lastContext = vars.context;
+
+      return JAL.Templates.render(template, vars, { omit });
+    }).join('\n\n');
   };
 
   /**
    * Add a single comment to the composer (for incremental building)
+   * The comment's send mode decides how it is written:
+   * - individual: appended as a new #N entry
+   * - batched: appended to the last entry if that entry quotes the same response
+   * - standalone: replaces the composer content, without an entry number
    */
   JAL.addCommentToComposer = function(commentId) {
     // Check if already in composer
@@ -961,49 +1995,72 @@
 
     const adapter = JAL.state.adapter;
     const existingContent = adapter.getComposerContent ? adapter.getComposerContent() : '';
+    const mode = JAL.getSendMode(comment);
 
-    // Normalize whitespace helper
-    const normalize = (text) => text ? text.replace(/\s+/g, ' ').trim() : '';
-
-    const anchor = comment.anchor;
-    const quote = normalize(anchor.quoteExact);
-    let context = normalize(anchor.contextSentences);
-    if (!context) {
-      context = "(context not captured)";
-    }
+    const template = JAL.Templates.getActive();
+    const vars = JAL.getPromptVars(comment);
+    const context = vars.context;
 
-    // Check if there's already JAL content in the composer
-    // Look for the pattern "#1\n" or "#2\n" etc.
-    const jalPattern = /#(\d+)\n/g;
-    const matches = [...existingContent.matchAll(jalPattern)];
+    // Continue the last entry if it is a batch on the same response still in the composer
+    const lastEntry = JAL.state.lastComposerEntry;
+    const continuesBatch = mode === 'batched' &&
+      lastEntry && lastEntry.mode === 'batched' &&
+      lastEntry.sourceKey === JAL.getSourceKey(comment) &&
+      lastEntry.commentIds.every(id => JAL.state.commentsInComposer.has(id));
 
-    let nextNumber = 1;
+    let nextNumber = null;
     let promptText = '';
 
-    if (matches.length > 0) {
-      // Find the highest number
-      const numbers = matches.map(m => parseInt(m[1], 10));
-      nextNumber = Math.max(...numbers) + 1;
-
-      // Add new comment entry (compressed symbolic format) - one blank line before
-      promptText = `\n#${nextNumber}\n`;
-      promptText += `【${context}】\n`;
-      promptText += `→"${quote}"：${comment.body}`;
+    if (mode === 'standalone') {
+      // Standalone message (no entry number)
+      promptText = JAL.Templates.render(template, vars, { omit: ['index'] });
+    } else if (continuesBatch) {
+      // Add to the current batch - only repeat the context if it differs
+      nextNumber = lastEntry.number;
+      vars.index = nextNumber;
+      const omit = context === lastEntry.context ? ['index', 'context'] : ['index'];
+      promptText = JAL.Templates.render(template, vars, { omit });
     } else {
-      // First comment (compressed symbolic format)
-      promptText = `#1\n`;
-      promptText += `【${context}】\n`;
-      promptText += `→"${quote}"：${comment.body}`;
+      nextNumber = JAL.getNextComposerNumber(existingContent);
+      vars.index = nextNumber;
+
+      // New comment entry - one blank line before if not first
+      promptText = (nextNumber > 1 ? '\n' : '') + JAL.Templates.render(template, vars);
     }
 
-    // Append to composer
-    const success = adapter.appendToComposer ? adapter.appendToComposer(promptText) : adapter.insertIntoComposer(promptText);
+    // Standalone replaces the composer, others append to it
+    let success;
+    if (mode === 'standalone') {
+      success = adapter.insertIntoComposer(promptText);
+    } else {
+      success = adapter.appendToComposer ? adapter.appendToComposer(promptText) : adapter.insertIntoComposer(promptText);
+    }
 
     if (success) {
-      console.log(`JAL: Added comment #${nextNumber} to composer`);
+      console.log(nextNumber ? `JAL: Added comment #${nextNumber} to composer (${mode})` : 'JAL: Added standalone comment to composer');
 
-      // Track that this comment is now in the composer
-      JAL.state.commentsInComposer.add(commentId);
+      // Comments replaced by a standalone message go back to draft
+      if (mode === 'standalone') {
+        JAL.checkForRemovedComments();
+      }
+
+      // Track that this comment (and its replies) is now in the composer, under which #N
+      JAL.trackInComposer(comment, nextNumber);
+      JAL.watchComposer();
+
+      // Remember the entry so following batched comments can join it
+      if (continuesBatch) {
+        lastEntry.commentIds.push(commentId);
+        lastEntry.context = context;
+      } else {
+        JAL.state.lastComposerEntry = mode === 'standalone' ? null : {
+          number: nextNumber,
+          mode,
+          sourceKey: JAL.getSourceKey(comment),
+          context,
+          commentIds: [commentId]
+        };
+      }
 
       // Update visual state
       JAL.UI.updateCommentVisualState(commentId, 'added');
@@ -1015,6 +2072,17 @@
     }
   };
 
+  /**
+   * Track a comment and its thread replies as in the composer under entry #number
+   * (null for standalone), so the send is detected and the answer linked back
+   */
+  JAL.trackInComposer = function(comment, number) {
+    for (const c of [comment, ...JAL.getThreadReplies(comment.commentId)]) {
+      JAL.state.commentsInComposer.add(c.commentId);
+      JAL.state.composerNumbers.set(c.commentId, number);
+    }
+  };
+
   /**
    * Check if a comment is currently in the composer
    */
@@ -1024,7 +2092,8 @@
 
   /**
    * Get the visual state of a comment
-   * Returns: 'draft' (orange), 'added' (blue), or 'asked' (green)
+   * Returns: 'draft' (orange), 'added' (blue), 'asked' (green),
+   * 'resolved' (purple) or 'dismissed' (grey)
    */
   JAL.getCommentVisualState = function(commentId) {
     // Currently in composer = blue (added)
@@ -1036,6 +2105,11 @@
     const comment = JAL.state.comments.find(c => c.commentId === commentId);
     if (!comment) return 'draft';
 
+    // Resolved and dismissed keep their own state
+    if (JAL.isCommentClosed(comment)) {
+      return comment.status;
+    }
+
     // Asked = status is queued or sent (set when transitioning from added)
     if (comment.status === 'queued' || comment.status === 'sent') {
       return 'asked';
@@ -1046,79 +2120,73 @@
   };
 
   /**
-   * Check if a comment's content appears in any user message as a JAL prompt
+   * Find the user message a comment was sent in as a JAL prompt
+   * Returns its 1-based index (the latest one if sent more than once), or 0
    */
-  JAL.isCommentInUserMessages = function(comment) {
-    if (!JAL.state.adapter.getAllUserMessageText) return false;
-
-    const userMessagesText = JAL.state.adapter.getAllUserMessageText();
-    if (!userMessagesText) return false;
-
-    const commentBody = comment.body.trim();
-    if (!commentBody) return false;
-
-    // Look for the new compressed format: →"quote"：{comment body}
-    const jalPattern = `：${commentBody}`;
-    if (userMessagesText.includes(jalPattern)) {
-      return true;
-    }
-
-    // Also check old format for backwards compatibility
-    const oldPattern = `Respond to my comment below:\n${commentBody}`;
-    if (userMessagesText.includes(oldPattern)) {
-      return true;
+  JAL.findCommentInUserMessages = function(comment) {
+    const userMessages = JAL.state.adapter.getUserMessages();
+    if (userMessages.length === 0) return 0;
+
+    // The comment may have been sent before it was edited, so try every revision
+    const bodies = [comment.body, ...(comment.revisions || []).map(r => r.body)]
+      .map(body => (body || '').trim())
+      .filter(Boolean);
+    if (bodies.length === 0) return 0;
+
+    // Match the active template's text for this comment (e.g. →"quote"：{comment body}),
+    // then the built-in presets in case it was sent before switching templates
+    const templates = [...new Set([
+      JAL.Templates.getActive(),
+      ...Object.values(JAL.Templates.PRESETS).map(preset => preset.template)
+    ])];
+    const promptVars = JAL.getPromptVars(comment);
+    const matchers = bodies.flatMap(body => templates.map(template =>
+      JAL.Templates.buildMatcher(template, { ...promptVars, body })
+    ));
+
+    for (let i = userMessages.length - 1; i >= 0; i--) {
+      const text = userMessages[i].textContent || '';
+      if (matchers.some(matcher => matcher.test(text))) return i + 1;
+
+      // Formats from before templates existed
+      if (bodies.some(body => text.includes(`：${body}`) || text.includes(`Respond to my comment below:\n${body}`))) {
+        return i + 1;
+      }
     }
-
-    return false;
+    return 0;
   };
 
   /**
-   * Called when composer is cleared - check if comments were actually sent
+   * Check if a comment's content appears in any user message as a JAL prompt
    */
-  JAL.clearComposerTracking = function() {
-    console.log('JAL: clearComposerTracking called, comments in composer:', JAL.state.commentsInComposer.size);
-
-    for (const commentId of JAL.state.commentsInComposer) {
-      const comment = JAL.state.comments.find(c => c.commentId === commentId);
-      if (comment) {
-        // Check if the comment was actually sent by looking at user messages
-        const wasFound = JAL.isCommentInUserMessages(comment);
-        console.log('JAL: Comment', commentId, 'found in user messages:', wasFound);
-
-        if (wasFound) {
-          // It was sent! Mark as asked
-          console.log('JAL: Marking comment as asked (queued)');
-          comment.status = 'queued';
-          JAL.Storage.updateComment(commentId, { status: 'queued' });
-          JAL.UI.updateCommentVisualState(commentId, 'asked');
-        } else {
-          // Not found in user messages - but if composer was cleared,
-          // the message was likely sent. Mark as asked anyway since
-          // the composer had JAL content and was cleared (indicating send)
-          console.log('JAL: Comment not found in DOM but composer was cleared - marking as asked');
-          comment.status = 'queued';
-          JAL.Storage.updateComment(commentId, { status: 'queued' });
-          JAL.UI.updateCommentVisualState(commentId, 'asked');
-        }
-      }
-    }
-    JAL.state.commentsInComposer.clear();
+  JAL.isCommentInUserMessages = function(comment) {
+    return JAL.findCommentInUserMessages(comment) > 0;
   };
 
   /**
-   * Called when a message is actually sent - mark added comments as asked
+   * Mark drafts that were sent without JAL noticing (another tab, a reload mid-send) as asked
+   * Matches the user messages against each comment and its past revisions
    */
-  JAL.markComposerCommentsSent = function() {
-    // Mark all "added" comments as "asked" (queued) since they were actually sent
-    for (const commentId of JAL.state.commentsInComposer) {
-      const comment = JAL.state.comments.find(c => c.commentId === commentId);
-      if (comment && comment.status === 'draft') {
-        comment.status = 'queued';
-        JAL.Storage.updateComment(commentId, { status: 'queued' });
+  JAL.reconcileAskedComments = function() {
+    const changes = [];
+    for (const comment of JAL.state.comments) {
+      if (comment.threadId || comment.status !== 'draft' || JAL.isCommentInComposer(comment.commentId)) continue;
+
+      const askedInMessageIndex = JAL.findCommentInUserMessages(comment);
+      if (!askedInMessageIndex) continue;
+
+      for (const c of [comment, ...JAL.getThreadReplies(comment.commentId)]) {
+        c.status = 'queued';
+        c.askedInMessageIndex = askedInMessageIndex;
+        changes.push({ commentId: c.commentId, updates: { status: 'queued', askedInMessageIndex } });
       }
-      JAL.UI.updateCommentVisualState(commentId, 'asked');
+      console.log('JAL: Found comment', comment.commentId, 'in user message #' + askedInMessageIndex);
+    }
+
+    if (changes.length > 0) {
+      JAL.Storage.updateComments(changes);
+      changes.forEach(({ commentId }) => JAL.UI.updateCommentVisualState(commentId, 'asked'));
     }
-    JAL.state.commentsInComposer.clear();
   };
 
   /**
@@ -1169,6 +2237,9 @@
               <button class="jal-btn" id="jal-return-btn" title="Jump Return (Alt+R)">
                 JR
               </button>
+              <label class="jal-filter-toggle" title="Hide resolved and dismissed comments">
+                <input type="checkbox" id="jal-hide-resolved"> Hide resolved
+              </label>
               <button class="jal-btn jal-btn-close" id="jal-close-btn">×</button>
             </div>
           </div>
@@ -1179,6 +2250,7 @@
         <button id="jal-toggle-btn" class="jal-toggle-btn" title="Toggle JAL Panel (Alt+G)">
           <span>💬</span>
         </button>
+        <div id="jal-orphans" class="jal-orphans jal-hidden"></div>
         <button id="jal-floating-btn" class="jal-floating-btn jal-hidden">Add Comment</button>
         <div id="jal-comment-input" class="jal-comment-input jal-hidden">
           <textarea id="jal-comment-textarea" placeholder="Enter your comment (or just '?')"></textarea>
@@ -1197,6 +2269,11 @@
       document.getElementById('jal-close-btn').addEventListener('click', () => this.togglePanel());
       document.getElementById('jal-send-btn').addEventListener('click', () => JAL.sendSelected());
       document.getElementById('jal-return-btn').addEventListener('click', () => JAL.jumpReturn());
+      document.getElementById('jal-hide-resolved').addEventListener('change', (e) => {
+        JAL.state.hideResolved = e.target.checked;
+        this.renderComments();
+        this.renderHighlights();
+      });
       document.getElementById('jal-floating-btn').addEventListener('click', () => JAL.addCommentFromSelection());
       document.getElementById('jal-save-comment').addEventListener('click', () => this.saveCommentFromInput());
       document.getElementById('jal-cancel-comment').addEventListener('click', () => this.hideCommentInput());
@@ -1225,7 +2302,7 @@
     /**
      * Show the floating "+ Comment" button attached to the message element
      */
-    showFloatingButton(selectionRect, messageElement) {
+    showFloatingButton(selectionRect, messageElement, label = 'Add Comment') {
       const btn = document.getElementById('jal-floating-btn');
       if (!btn) return;
 
@@ -1247,9 +2324,58 @@
       btn.style.position = 'absolute';
       btn.style.left = `${relativeLeft}px`;
       btn.style.top = `${relativeTop}px`;
+      btn.textContent = JAL.state.reattachCommentId ? 'Re-attach Here' : label;
       btn.classList.remove('jal-hidden');
     },
 
+    /**
+     * Get the viewport rect of an image region ({ x, y, width, height } fractions),
+     * or of the whole image when region is null
+     */
+    getImageRegionRect(image, region) {
+      const rect = image.getBoundingClientRect();
+      if (!region) return rect;
+
+      const left = rect.left + region.x * rect.width;
+      const top = rect.top + region.y * rect.height;
+      const width = region.width * rect.width;
+      const height = region.height * rect.height;
+      return { left, top, right: left + width, bottom: top + height, width, height };
+    },
+
+    /**
+     * Show the dashed rectangle being dragged over an image
+     */
+    showImageRegion(image, messageElement, region) {
+      let box = document.getElementById('jal-image-region');
+      if (!box) {
+        box = document.createElement('div');
+        box.id = 'jal-image-region';
+        box.className = 'jal-image-region';
+      }
+
+      if (getComputedStyle(messageElement).position === 'static') {
+        messageElement.style.position = 'relative';
+      }
+      if (box.parentElement !== messageElement) {
+        messageElement.appendChild(box);
+      }
+
+      const rect = this.getImageRegionRect(image, region);
+      const messageRect = messageElement.getBoundingClientRect();
+      box.style.left = `${rect.left - messageRect.left}px`;
+      box.style.top = `${rect.top - messageRect.top}px`;
+      box.style.width = `${rect.width}px`;
+      box.style.height = `${rect.height}px`;
+    },
+
+    /**
+     * Remove the region rectangle
+     */
+    hideImageRegion() {
+      document.getElementById('jal-image-region')?.remove();
+    },
+
     /**
      * Hide the floating button
      */
@@ -1307,7 +2433,7 @@
         input.style.top = `${top}px`;
 
         // Create temporary highlight using the expanded range (covers full words/equations)
-        this.pendingHighlights = this.highlightRange(expandedRange, 'jal-pending');
+        this.pendingHighlights = this.highlightAnchor(anchor, expandedRange, 'jal-pending');
       }
 
       // Clear the original selection
@@ -1584,17 +2710,21 @@
       }
 
       // Create comment cards
-      list.innerHTML = comments.map(comment => `
+      list.innerHTML = comments.filter(c => !c.threadId && !(JAL.state.hideResolved && JAL.isCommentClosed(c))).map(comment => `
         <div class="jal-comment-card ${comment.status}" data-comment-id="${comment.commentId}">
           <div class="jal-comment-header">
             <label class="jal-checkbox">
               <input type="checkbox" ${JAL.state.selectedComments.has(comment.commentId) ? 'checked' : ''}>
-              <span class="jal-status-badge">${comment.status}</span>
+              <span class="jal-status-badge">${JAL.CLOSED_STATES[comment.status] || comment.status}</span>
             </label>
+            ${JAL.isCommentClosed(comment)
+              ? '<button class="jal-btn-icon jal-resolve-btn" title="Reopen">↺</button>'
+              : '<button class="jal-btn-icon jal-resolve-btn" title="Resolve">✓</button>'}
             <button class="jal-btn-icon jal-delete-btn" title="Delete">×</button>
           </div>
           <div class="jal-comment-quote">"${this.escapeHtml(comment.anchor.quoteExact.slice(0, 50))}${comment.anchor.quoteExact.length > 50 ? '...' : ''}"</div>
           <div class="jal-comment-body">${this.escapeHtml(comment.body)}</div>
+          ${this.renderRepliesHtml(comment.commentId, 'jal-comment-replies', 'jal-comment-reply')}
         </div>
       `).join('');
 
@@ -1610,14 +2740,30 @@
           }
         });
 
+        card.querySelector('.jal-resolve-btn').addEventListener('click', async () => {
+          const comment = JAL.state.comments.find(c => c.commentId === commentId);
+          if (JAL.isCommentClosed(comment)) {
+            await JAL.reopenComment(commentId);
+          } else {
+            await JAL.closeComment(commentId, 'resolved');
+          }
+          this.renderComments();
+          this.renderHighlights();
+        });
+
         card.querySelector('.jal-delete-btn').addEventListener('click', async () => {
-          await JAL.Storage.deleteComment(commentId);
-          JAL.state.comments = JAL.state.comments.filter(c => c.commentId !== commentId);
-          JAL.state.selectedComments.delete(commentId);
+          await JAL.deleteComment(commentId);
           this.renderComments();
           this.renderHighlights();
         });
 
+        card.querySelectorAll('.jal-comment-reply-delete').forEach(btn => {
+          btn.addEventListener('click', async () => {
+            await JAL.deleteComment(btn.closest('.jal-comment-reply').dataset.commentId);
+            this.renderCommentsOnly();
+          });
+        });
+
         card.querySelector('.jal-comment-quote').addEventListener('click', () => {
           const highlight = JAL.state.ui.highlights.get(commentId);
           if (highlight && highlight.length > 0) {
@@ -1680,15 +2826,27 @@
       const isAsked = visualState === 'asked';
       const canAdd = visualState === 'draft'; // Only draft can be added
       const canEdit = !isInComposer; // Can edit if not currently in composer
+      const canReply = !isInComposer; // Replies would be missing from the composer text
+      const isClosed = JAL.isCommentClosed(comment);
+      const canClose = !isInComposer && !isClosed;
 
       // Status label for display
       const statusLabels = {
         'draft': 'draft',
         'added': 'added',
-        'asked': 'asked'
+        'asked': 'asked',
+        'resolved': 'resolved',
+        'dismissed': "won't fix"
       };
       const statusLabel = statusLabels[visualState] || comment.status;
 
+      // Send mode can only change while the comment is not in the chat
+      const sendMode = JAL.getSendMode(comment);
+      const canChangeMode = !isInComposer;
+      const modeOptionsHtml = Object.entries(JAL.SEND_MODES).map(([value, label]) =>
+        `<option value="${value}" ${value === sendMode ? 'selected' : ''}>${label}</option>`
+      ).join('');
+
       // Tooltip for add button
       let addTooltip = 'Add to chat';
       if (isInComposer) addTooltip = 'Already in chat';
@@ -1706,11 +2864,27 @@
       popup.innerHTML = `
         <div class="jal-popup-header">
           <span class="jal-status-badge">${statusLabel}</span>
+          <select class="jal-popup-mode-select" title="Send mode" ${!canChangeMode ? 'disabled' : ''}>${modeOptionsHtml}</select>
+          ${canClose ? `
+            <button class="jal-popup-resolve-btn" title="Resolve">✓</button>
+            <button class="jal-popup-dismiss-btn" title="Won't fix">⊘</button>
+          ` : ''}
+          ${isClosed ? '<button class="jal-popup-reopen-btn" title="Reopen">↺</button>' : ''}
+          ${comment.revisions?.length ? '<button class="jal-popup-edited" title="Show edit history">edited</button>' : ''}
           <button class="jal-popup-delete-btn" title="Delete comment">🗑</button>
           <button class="jal-popup-close">&times;</button>
         </div>
         <div class="jal-popup-body">${this.escapeHtml(comment.body)}</div>
+        ${comment.revisions?.length ? this.renderHistoryHtml(comment) : ''}
+        ${this.renderRepliesHtml(commentId, 'jal-popup-replies', 'jal-popup-reply')}
+        ${comment.answer ? `
+          <div class="jal-popup-answer" title="Jump to answer">
+            <span class="jal-popup-answer-label">Answer</span>
+            <span class="jal-popup-answer-preview">${this.escapeHtml(comment.answer.preview || '')}</span>
+          </div>
+        ` : ''}
         <button class="jal-popup-edit-btn ${!canEdit ? 'jal-disabled' : ''}" title="${!canEdit ? 'Cannot edit while in chat' : 'Edit comment'}" ${!canEdit ? 'disabled' : ''}>✎</button>
+        <button class="jal-popup-reply-btn ${!canReply ? 'jal-disabled' : ''}" title="${!canReply ? 'Cannot reply while in chat' : 'Reply'}" ${!canReply ? 'disabled' : ''}>↩</button>
         ${addButtonHtml}
       `;
 
@@ -1783,6 +2957,32 @@
         });
       }
 
+      // Send mode select
+      const modeSelect = popup.querySelector('.jal-popup-mode-select');
+      modeSelect.addEventListener('change', async () => {
+        comment.sendMode = modeSelect.value;
+        await JAL.Storage.updateComment(commentId, { sendMode: comment.sendMode });
+      });
+
+      // Reply button (only if can reply)
+      const replyBtn = popup.querySelector('.jal-popup-reply-btn');
+      if (canReply) {
+        replyBtn.addEventListener('click', () => {
+          this.showReplyMode(popup, commentId);
+        });
+      }
+
+      // Reply delete buttons
+      popup.querySelectorAll('.jal-popup-reply-delete').forEach(btn => {
+        btn.addEventListener('click', async (e) => {
+          e.stopPropagation();
+          await JAL.deleteComment(btn.closest('.jal-popup-reply').dataset.commentId);
+          this.renderCommentsOnly();
+          this.hideCommentPopup();
+          this.showCommentPopup(commentId, 0, 0);
+        });
+      });
+
       // Add to composer button (only if draft)
       const addBtn = popup.querySelector('.jal-popup-add-btn');
       if (canAdd && addBtn) {
@@ -1800,26 +3000,56 @@
         });
       }
 
+      // Resolve / dismiss / reopen buttons
+      const lifecycleActions = [
+        ['.jal-popup-resolve-btn', () => JAL.closeComment(commentId, 'resolved')],
+        ['.jal-popup-dismiss-btn', () => JAL.closeComment(commentId, 'dismissed')],
+        ['.jal-popup-reopen-btn', () => JAL.reopenComment(commentId)]
+      ];
+      for (const [selector, action] of lifecycleActions) {
+        const btn = popup.querySelector(selector);
+        if (!btn) continue;
+        btn.addEventListener('click', async (e) => {
+          e.stopPropagation();
+          await action();
+          this.renderCommentsOnly();
+          this.hideCommentPopup();
+          if (JAL.state.hideResolved) {
+            this.renderHighlights();
+          } else {
+            this.showCommentPopup(commentId, 0, 0);
+          }
+        });
+      }
+
+      // Edit history toggle
+      const editedBtn = popup.querySelector('.jal-popup-edited');
+      if (editedBtn) {
+        editedBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          popup.querySelector('.jal-popup-history').classList.toggle('jal-hidden');
+        });
+      }
+
+      // Answer row (only once the reply has been linked)
+      const answerRow = popup.querySelector('.jal-popup-answer');
+      if (answerRow) {
+        answerRow.addEventListener('click', (e) => {
+          e.stopPropagation();
+          JAL.scrollToAnswer(commentId);
+        });
+      }
+
       // Delete button
       const deleteBtn = popup.querySelector('.jal-popup-delete-btn');
       deleteBtn.addEventListener('click', async () => {
-        if (confirm('Delete this comment?')) {
-          // Remove from storage
-          await JAL.Storage.deleteComment(commentId);
-
-          // Remove from state
-          const idx = JAL.state.comments.findIndex(c => c.commentId === commentId);
-          if (idx !== -1) JAL.state.comments.splice(idx, 1);
-
-          // Remove from composer set if present
-          JAL.state.commentsInComposer.delete(commentId);
-
-          // Remove highlights
-          const highlights = JAL.state.ui.highlights.get(commentId);
-          if (highlights) {
-            highlights.forEach(el => el.remove());
-            JAL.state.ui.highlights.delete(commentId);
-          }
+        const replyCount = JAL.getThreadReplies(commentId).length;
+        const message = replyCount > 0
+          ? `Delete this comment and its ${replyCount} ${replyCount === 1 ? 'reply' : 'replies'}?`
+          : 'Delete this comment?';
+        if (confirm(message)) {
+          // Remove from storage, state and highlights (including thread replies)
+          await JAL.deleteComment(commentId);
 
           // Close popup
           this.hideCommentPopup();
@@ -1845,8 +3075,10 @@
     showEditMode(popup, commentId, comment, previousState) {
       const body = popup.querySelector('.jal-popup-body');
       const editBtn = popup.querySelector('.jal-popup-edit-btn');
+      const replyBtn = popup.querySelector('.jal-popup-reply-btn');
       const addBtn = popup.querySelector('.jal-popup-add-btn');
       const gotoBtn = popup.querySelector('.jal-popup-goto-btn');
+      const answerRow = popup.querySelector('.jal-popup-answer');
 
       // Add edit mode class to reduce bottom padding
       popup.classList.add('jal-edit-mode');
@@ -1859,10 +3091,12 @@
       textarea.focus();
       textarea.select();
 
-      // Hide all action buttons (edit, add, goto), show save/cancel
+      // Hide all action buttons (edit, reply, add, goto), show save/cancel
       if (editBtn) editBtn.style.display = 'none';
+      if (replyBtn) replyBtn.style.display = 'none';
       if (addBtn) addBtn.style.display = 'none';
       if (gotoBtn) gotoBtn.style.display = 'none';
+      if (answerRow) answerRow.style.display = 'none';
 
       const actions = document.createElement('div');
       actions.className = 'jal-popup-edit-actions';
@@ -1880,16 +3114,26 @@
           return;
         }
 
-        // Update the comment
+        // Unchanged - nothing to record
+        if (newBody === comment.body) {
+          this.hideCommentPopup();
+          this.showCommentPopup(commentId, 0, 0);
+          return;
+        }
+
+        // Update the comment, keeping the previous body in its history
+        comment.revisions = [...(comment.revisions || []), { body: comment.body, editedAt: Date.now() }];
         comment.body = newBody;
+        const updates = { body: newBody, revisions: comment.revisions };
 
-        // If it was "asked" (green), reset to "draft" (orange)
-        if (previousState === 'asked') {
+        // An asked comment stays asked - its earlier revision is still in the user messages.
+        // Reset to "draft" (orange) only if the sent prompt can't be found
+        if (previousState === 'asked' && !JAL.isCommentInUserMessages(comment)) {
           comment.status = 'draft';
-          await JAL.Storage.updateComment(commentId, { body: newBody, status: 'draft' });
+          await JAL.Storage.updateComment(commentId, { ...updates, status: 'draft' });
           JAL.UI.updateCommentVisualState(commentId, 'draft');
         } else {
-          await JAL.Storage.updateComment(commentId, { body: newBody });
+          await JAL.Storage.updateComment(commentId, updates);
         }
 
         // Refresh the popup (position will be calculated from highlight)
@@ -1905,6 +3149,175 @@
       });
     },
 
+    /**
+     * Show reply mode in the popup
+     */
+    showReplyMode(popup, commentId) {
+      const editBtn = popup.querySelector('.jal-popup-edit-btn');
+      const replyBtn = popup.querySelector('.jal-popup-reply-btn');
+      const addBtn = popup.querySelector('.jal-popup-add-btn');
+      const gotoBtn = popup.querySelector('.jal-popup-goto-btn');
+      const answerRow = popup.querySelector('.jal-popup-answer');
+
+      // Reuse edit mode layout (reduced bottom padding)
+      popup.classList.add('jal-edit-mode');
+
+      const textarea = document.createElement('textarea');
+      textarea.className = 'jal-popup-edit-textarea';
+      textarea.placeholder = 'Reply to this comment';
+      popup.appendChild(textarea);
+      textarea.focus();
+
+      // Hide all action buttons, show cancel/reply
+      if (editBtn) editBtn.style.display = 'none';
+      if (replyBtn) replyBtn.style.display = 'none';
+      if (addBtn) addBtn.style.display = 'none';
+      if (gotoBtn) gotoBtn.style.display = 'none';
+      if (answerRow) answerRow.style.display = 'none';
+
+      const actions = document.createElement('div');
+      actions.className = 'jal-popup-edit-actions';
+      actions.innerHTML = `
+        <button class="jal-popup-cancel-btn">Cancel</button>
+        <button class="jal-popup-save-btn">Reply</button>
+      `;
+      popup.appendChild(actions);
+
+      // Save handler
+      actions.querySelector('.jal-popup-save-btn').addEventListener('click', async () => {
+        const body = textarea.value.trim();
+        if (!body) {
+          alert('Reply cannot be empty');
+          return;
+        }
+
+        await JAL.saveReply(commentId, body);
+
+        // Refresh the popup to show the new reply
+        this.hideCommentPopup();
+        this.showCommentPopup(commentId, 0, 0);
+      });
+
+      // Cancel handler
+      actions.querySelector('.jal-popup-cancel-btn').addEventListener('click', () => {
+        this.hideCommentPopup();
+        this.showCommentPopup(commentId, 0, 0);
+      });
+    },
+
+    /**
+     * Show a toast with an undo button (replaces any toast already shown)
+     */
+    showUndoToast(message, onUndo, duration = 6000) {
+      this.hideUndoToast();
+
+      const toast = document.createElement('div');
+      toast.className = 'jal-toast';
+      toast.id = 'jal-undo-toast';
+      toast.innerHTML = `
+        <span class="jal-toast-message">${this.escapeHtml(message)}</span>
+        <button class="jal-toast-undo">Undo</button>
+      `;
+      document.body.appendChild(toast);
+
+      toast.querySelector('.jal-toast-undo').addEventListener('click', async (e) => {
+        e.stopPropagation();
+        this.hideUndoToast();
+        await onUndo();
+      });
+
+      this._toastTimer = setTimeout(() => this.hideUndoToast(), duration);
+    },
+
+    /**
+     * Hide the undo toast
+     */
+    hideUndoToast() {
+      clearTimeout(this._toastTimer);
+      const toast = document.getElementById('jal-undo-toast');
+      if (toast) toast.remove();
+    },
+
+    /**
+     * Show the banner explaining re-attach mode
+     */
+    showReattachBanner() {
+      this.hideReattachBanner();
+
+      const banner = document.createElement('div');
+      banner.className = 'jal-toast jal-reattach-banner';
+      banner.id = 'jal-reattach-banner';
+      banner.innerHTML = `
+        <span class="jal-toast-message">Select the text this comment belongs to, then click "Re-attach Here"</span>
+        <button class="jal-toast-undo">Cancel</button>
+      `;
+      document.body.appendChild(banner);
+
+      banner.querySelector('.jal-toast-undo').addEventListener('click', (e) => {
+        e.stopPropagation();
+        JAL.cancelReattach();
+      });
+    },
+
+    /**
+     * Hide the re-attach banner
+     */
+    hideReattachBanner() {
+      const banner = document.getElementById('jal-reattach-banner');
+      if (banner) banner.remove();
+    },
+
+    /**
+     * List comments whose text can't be found on the page, with ways to recover them
+     */
+    renderOrphans() {
+      const section = document.getElementById('jal-orphans');
+      if (!section) return;
+
+      const orphans = JAL.state.comments.filter(c => JAL.state.orphans.has(c.commentId));
+      if (!JAL.state.orphansReady || orphans.length === 0) {
+        section.classList.add('jal-hidden');
+        section.innerHTML = '';
+        return;
+      }
+
+      const reasons = {
+        message: 'Message not found on this page',
+        quote: 'Quoted text not found in its message'
+      };
+      const wasOpen = section.querySelector('.jal-orphans-list:not(.jal-hidden)') !== null;
+
+      section.innerHTML = `
+        <button class="jal-orphans-toggle" title="Comments whose text could not be found">
+          ⚠ ${orphans.length} comment${orphans.length === 1 ? '' : 's'} lost ${orphans.length === 1 ? 'its' : 'their'} place
+        </button>
+        <div class="jal-orphans-list ${wasOpen ? '' : 'jal-hidden'}">
+          ${orphans.map(comment => `
+            <div class="jal-orphan" data-comment-id="${comment.commentId}">
+              <div class="jal-comment-quote">"${this.escapeHtml(comment.anchor.quoteExact.slice(0, 80))}${comment.anchor.quoteExact.length > 80 ? '...' : ''}"</div>
+              ${comment.anchor.contextSentences ? `<div class="jal-orphan-context">${this.escapeHtml(comment.anchor.contextSentences.slice(0, 160))}</div>` : ''}
+              <div class="jal-comment-body">${this.escapeHtml(comment.body)}</div>
+              <div class="jal-orphan-reason">${reasons[JAL.state.orphans.get(comment.commentId)]}</div>
+              <div class="jal-orphan-actions">
+                <button class="jal-btn jal-orphan-jump" title="Select the most similar text on the page">Find best match</button>
+                <button class="jal-btn jal-orphan-reattach" title="Select new text for this comment">Re-attach</button>
+              </div>
+            </div>
+          `).join('')}
+        </div>
+      `;
+
+      section.classList.remove('jal-hidden');
+      section.querySelector('.jal-orphans-toggle').addEventListener('click', () => {
+        section.querySelector('.jal-orphans-list').classList.toggle('jal-hidden');
+      });
+      section.querySelectorAll('.jal-orphan').forEach(item => {
+        const commentId = item.dataset.commentId;
+        item.querySelector('.jal-orphan-jump').addEventListener('click', () => JAL.jumpToBestCandidate(commentId));
+        item.querySelector('.jal-orphan-reattach').addEventListener('click', () => JAL.startReattach(commentId));
+      });
+    },
+
     /**
      * Hide comment popup
      */
@@ -1928,7 +3341,8 @@
 
     /**
      * Update the visual state of a comment (highlights and underlines)
-     * States: 'draft' (orange), 'added' (blue), 'asked' (green)
+     * States: 'draft' (orange), 'added' (blue), 'asked' (green),
+     * 'resolved' (purple), 'dismissed' (grey)
      */
     updateCommentVisualState(commentId, state) {
       const highlights = JAL.state.ui.highlights.get(commentId);
@@ -1938,7 +3352,9 @@
       const colors = {
         draft: { highlight: 'rgba(255, 220, 100, 0.5)', underline: '#f6ad55' },  // orange
         added: { highlight: 'rgba(100, 180, 255, 0.5)', underline: '#4299e1' },  // blue
-        asked: { highlight: 'rgba(100, 220, 150, 0.5)', underline: '#48bb78' }   // green
+        asked: { highlight: 'rgba(100, 220, 150, 0.5)', underline: '#48bb78' },  // green
+        resolved: { highlight: 'rgba(180, 150, 240, 0.4)', underline: '#9f7aea' },  // purple
+        dismissed: { highlight: 'rgba(180, 190, 200, 0.35)', underline: '#a0aec0' }  // grey
       };
 
       const colorSet = colors[state] || colors.draft;
@@ -1967,17 +3383,21 @@
       }
 
       // Create comment cards (without positioning yet)
-      list.innerHTML = comments.map(comment => `
+      list.innerHTML = comments.filter(c => !c.threadId && !(JAL.state.hideResolved && JAL.isCommentClosed(c))).map(comment => `
         <div class="jal-comment-card ${comment.status}" data-comment-id="${comment.commentId}">
           <div class="jal-comment-header">
             <label class="jal-checkbox">
               <input type="checkbox" ${JAL.state.selectedComments.has(comment.commentId) ? 'checked' : ''}>
-              <span class="jal-status-badge">${comment.status}</span>
+              <span class="jal-status-badge">${JAL.CLOSED_STATES[comment.status] || comment.status}</span>
             </label>
+            ${JAL.isCommentClosed(comment)
+              ? '<button class="jal-btn-icon jal-resolve-btn" title="Reopen">↺</button>'
+              : '<button class="jal-btn-icon jal-resolve-btn" title="Resolve">✓</button>'}
             <button class="jal-btn-icon jal-delete-btn" title="Delete">×</button>
           </div>
           <div class="jal-comment-quote">"${this.escapeHtml(comment.anchor.quoteExact.slice(0, 50))}${comment.anchor.quoteExact.length > 50 ? '...' : ''}"</div>
           <div class="jal-comment-body">${this.escapeHtml(comment.body)}</div>
+          ${this.renderRepliesHtml(comment.commentId, 'jal-comment-replies', 'jal-comment-reply')}
         </div>
       `).join('');
 
@@ -1994,15 +3414,33 @@
           }
         });
 
-        // Delete button
+        // Resolve / reopen button
+        card.querySelector('.jal-resolve-btn').addEventListener('click', async () => {
+          const comment = JAL.state.comments.find(c => c.commentId === commentId);
+          if (JAL.isCommentClosed(comment)) {
+            await JAL.reopenComment(commentId);
+          } else {
+            await JAL.closeComment(commentId, 'resolved');
+          }
+          this.renderComments();
+          this.renderHighlights();
+        });
+
+        // Delete button (also removes thread replies)
         card.querySelector('.jal-delete-btn').addEventListener('click', async () => {
-          await JAL.Storage.deleteComment(commentId);
-          JAL.state.comments = JAL.state.comments.filter(c => c.commentId !== commentId);
-          JAL.state.selectedComments.delete(commentId);
+          await JAL.deleteComment(commentId);
           this.renderComments();
           this.renderHighlights();
         });
 
+        // Reply delete buttons
+        card.querySelectorAll('.jal-comment-reply-delete').forEach(btn => {
+          btn.addEventListener('click', async () => {
+            await JAL.deleteComment(btn.closest('.jal-comment-reply').dataset.commentId);
+            this.renderCommentsOnly();
+          });
+        });
+
         // Click to scroll to highlight
         card.querySelector('.jal-comment-quote').addEventListener('click', () => {
           const highlight = JAL.state.ui.highlights.get(commentId);
@@ -2102,23 +3540,57 @@
         JAL.state.adapter.markMessage(msg);
       });
 
+      const idChanges = [];
+      JAL.state.orphans.clear();
       for (const comment of JAL.state.comments) {
-        const targetMessage = messages.find(m =>
-          m.getAttribute('data-jal-message') === comment.anchor.messageFingerprint
-        );
+        // Replies are shown through their root comment's highlight
+        if (comment.threadId) continue;
+
+        // Resolved and dismissed comments can be hidden from the page
+        if (JAL.state.hideResolved && JAL.isCommentClosed(comment)) continue;
+
+        // Multi-message comments are orphaned only when none of their segments can be found
+        if (comment.anchor.type === 'multi') {
+          const highlights = this.highlightAnchor(comment.anchor, null, comment.commentId);
+          if (highlights.length === 0) {
+            JAL.state.orphans.set(comment.commentId, 'quote');
+            continue;
+          }
+          JAL.state.ui.highlights.set(comment.commentId, highlights);
+          this.updateCommentVisualState(comment.commentId, JAL.getCommentVisualState(comment.commentId));
+          continue;
+        }
+
+        const targetMessage = JAL.findMessageForAnchor(comment.anchor, messages);
+
+        if (!targetMessage) {
+          JAL.state.orphans.set(comment.commentId, 'message');
+          continue;
+        }
 
-        if (!targetMessage) continue;
+        // Anchors from before message ids were stored pick up the id once matched
+        const messageId = !comment.anchor.messageId && JAL.state.adapter.getMessageId(targetMessage);
+        if (messageId) {
+          comment.anchor = { ...comment.anchor, messageId };
+          idChanges.push({ commentId: comment.commentId, updates: { anchor: comment.anchor } });
+        }
 
-        const range = JAL.Anchoring.createRangeForAnchor(comment.anchor, targetMessage);
-        if (!range) continue;
+        // A low-confidence match is a guess - list it as orphaned rather than highlight the wrong text
+        const { range, confidence } = JAL.Anchoring.resolveAnchor(comment.anchor, targetMessage);
+        if (!range || confidence < JAL.Anchoring.ORPHAN_CONFIDENCE) {
+          JAL.state.orphans.set(comment.commentId, 'quote');
+          continue;
+        }
 
-        const highlights = this.highlightRange(range, comment.commentId);
+        const highlights = this.highlightAnchor(comment.anchor, range, comment.commentId);
         JAL.state.ui.highlights.set(comment.commentId, highlights);
 
         // Set initial visual state based on comment status
         const visualState = JAL.getCommentVisualState(comment.commentId);
         this.updateCommentVisualState(comment.commentId, visualState);
       }
+      JAL.Storage.updateComments(idChanges);
+      this.renderOrphans();
 
       requestAnimationFrame(() => {
         this.positionComments();
@@ -2383,86 +3855,152 @@
         }
 
         // Now lines contains one bounding box per line - no going over
-        for (const line of lines) {
-          const lineHeight = line.bottom - line.top;
-          const lineWidth = line.right - line.left;
-          const relativeTop = line.top - messageRect.top;
-          const relativeLeft = line.left - messageRect.left;
+        highlights.push(...this.drawHighlightBoxes(messageElement, messageRect, lines, commentId));
+      } catch (e) {
+        console.error('JAL highlightRange error:', e);
+      }
 
-          // Create highlight for this line (behind text, not clickable)
-          const highlight = document.createElement('div');
-          highlight.className = 'jal-highlight-overlay';
-          highlight.dataset.commentId = commentId;
-          highlight.style.cssText = `
-            position: absolute;
-            left: ${relativeLeft}px;
-            top: ${relativeTop}px;
-            width: ${lineWidth}px;
-            height: ${lineHeight}px;
-            background-color: rgba(255, 220, 100, 0.35);
-            pointer-events: none;
-            z-index: -1;
-          `;
+      return highlights;
+    },
 
-          messageElement.appendChild(highlight);
-          highlights.push(highlight);
+    /**
+     * Highlight a resolved anchor
+     * Table anchors cover their whole cell; everything else goes line by line
+     */
+    highlightAnchor(anchor, range, commentId) {
+      if (anchor.type === 'multi') {
+        // Each message's segment is found and highlighted on its own (range is unused)
+        const messages = JAL.state.adapter.getAssistantMessages();
+        return anchor.segments.flatMap(segment => {
+          const message = JAL.findMessageForAnchor(segment, messages);
+          if (!message) return [];
+          const resolved = JAL.Anchoring.resolveAnchor(segment, message);
+          if (!resolved.range || resolved.confidence < JAL.Anchoring.ORPHAN_CONFIDENCE) return [];
+          return this.highlightAnchor(segment, resolved.range, commentId);
+        });
+      }
+      if (anchor.type === 'table') {
+        const cell = JAL.Anchoring.getTableCell(range.startContainer);
+        if (cell) return this.highlightElement(cell, commentId);
+      }
+      if (anchor.type === 'image') {
+        // Images are opaque - draw the highlight over the region instead of behind it
+        const image = range.startContainer.childNodes[range.startOffset];
+        const highlights = image ? this.highlightElement(image, commentId, anchor.image.region) : [];
+        highlights
+          .filter(el => el.classList.contains('jal-highlight-overlay'))
+          .forEach(el => el.classList.add('jal-highlight-region'));
+        return highlights;
+      }
+      return this.highlightRange(range, commentId);
+    },
 
-          // Create thin underline (visual indicator only)
-          const underline = document.createElement('div');
-          underline.className = 'jal-underline';
-          underline.dataset.commentId = commentId;
-          underline.style.cssText = `
-            position: absolute;
-            left: ${relativeLeft}px;
-            top: ${relativeTop + lineHeight - 2}px;
-            width: ${lineWidth}px;
-            height: 2px;
-            background-color: #f6ad55;
-            pointer-events: none;
-            z-index: 1;
-          `;
-          messageElement.appendChild(underline);
-          highlights.push(underline);
-
-          // Create transparent click overlay (covers entire highlight area)
-          const clickOverlay = document.createElement('div');
-          clickOverlay.className = 'jal-click-overlay';
-          clickOverlay.dataset.commentId = commentId;
-          clickOverlay.style.cssText = `
-            position: absolute;
-            left: ${relativeLeft}px;
-            top: ${relativeTop}px;
-            width: ${lineWidth}px;
-            height: ${lineHeight}px;
-            background-color: transparent;
-            pointer-events: auto;
-            cursor: pointer;
-            z-index: 2;
-          `;
+    /**
+     * Highlight an element's box (a table cell, or a region of an image) as a single block
+     */
+    highlightElement(element, commentId, region = null) {
+      const messageElement = JAL.state.adapter.findMessageContainer(element);
+      if (!messageElement) {
+        console.log('JAL: No message element for highlight');
+        return [];
+      }
 
-          clickOverlay.addEventListener('click', (e) => {
-            e.stopPropagation();
-            JAL.UI.showCommentPopup(commentId, e.clientX, e.clientY);
-          });
+      if (getComputedStyle(messageElement).position === 'static') {
+        messageElement.style.position = 'relative';
+      }
+      messageElement.style.isolation = 'isolate';
 
-          clickOverlay.addEventListener('mouseenter', (e) => {
-            const cid = e.target.dataset.commentId;
-            document.querySelectorAll(`.jal-highlight-overlay[data-comment-id="${cid}"], .jal-underline[data-comment-id="${cid}"]`).forEach(el => {
-              el.classList.add('jal-hover');
-            });
+      const rect = region ? this.getImageRegionRect(element, region) : element.getBoundingClientRect();
+      if (rect.width === 0 || rect.height === 0) return [];
+
+      const box = { left: rect.left, right: rect.right, top: rect.top, bottom: rect.bottom };
+      return this.drawHighlightBoxes(messageElement, messageElement.getBoundingClientRect(), [box], commentId);
+    },
+
+    /**
+     * Draw highlight, underline and click overlays for viewport boxes
+     * Positioned relative to the message element; returns the created elements
+     */
+    drawHighlightBoxes(messageElement, messageRect, lines, commentId) {
+      const highlights = [];
+
+      for (const line of lines) {
+        const lineHeight = line.bottom - line.top;
+        const lineWidth = line.right - line.left;
+        const relativeTop = line.top - messageRect.top;
+        const relativeLeft = line.left - messageRect.left;
+
+        // Create highlight for this line (behind text, not clickable)
+        const highlight = document.createElement('div');
+        highlight.className = 'jal-highlight-overlay';
+        highlight.dataset.commentId = commentId;
+        highlight.style.cssText = `
+          position: absolute;
+          left: ${relativeLeft}px;
+          top: ${relativeTop}px;
+          width: ${lineWidth}px;
+          height: ${lineHeight}px;
+          background-color: rgba(255, 220, 100, 0.35);
+          pointer-events: none;
+          z-index: -1;
+        `;
+
+        messageElement.appendChild(highlight);
+        highlights.push(highlight);
+
+        // Create thin underline (visual indicator only)
+        const underline = document.createElement('div');
+        underline.className = 'jal-underline';
+        underline.dataset.commentId = commentId;
+        underline.style.cssText = `
+          position: absolute;
+          left: ${relativeLeft}px;
+          top: ${relativeTop + lineHeight - 2}px;
+          width: ${lineWidth}px;
+          height: 2px;
+          background-color: #f6ad55;
+          pointer-events: none;
+          z-index: 1;
+        `;
+        messageElement.appendChild(underline);
+        highlights.push(underline);
+
+        // Create transparent click overlay (covers entire highlight area)
+        const clickOverlay = document.createElement('div');
+        clickOverlay.className = 'jal-click-overlay';
+        clickOverlay.dataset.commentId = commentId;
+        clickOverlay.style.cssText = `
+          position: absolute;
+          left: ${relativeLeft}px;
+          top: ${relativeTop}px;
+          width: ${lineWidth}px;
+          height: ${lineHeight}px;
+          background-color: transparent;
+          pointer-events: auto;
+          cursor: pointer;
+          z-index: 2;
+        `;
+
+        clickOverlay.addEventListener('click', (e) => {
+          e.stopPropagation();
+          JAL.UI.showCommentPopup(commentId, e.clientX, e.clientY);
+        });
+
+        clickOverlay.addEventListener('mouseenter', (e) => {
+          const cid = e.target.dataset.commentId;
+          document.querySelectorAll(`.jal-highlight-overlay[data-comment-id="${cid}"], .jal-underline[data-comment-id="${cid}"]`).forEach(el => {
+            el.classList.add('jal-hover');
           });
-          clickOverlay.addEventListener('mouseleave', (e) => {
-            const cid = e.target.dataset.commentId;
-            document.querySelectorAll(`.jal-highlight-overlay[data-comment-id="${cid}"], .jal-underline[data-comment-id="${cid}"]`).forEach(el => {
-              el.classList.remove('jal-hover');
-            });
+        });
+        clickOverlay.addEventListener('mouseleave', (e) => {
+          const cid = e.target.dataset.commentId;
+          document.querySelectorAll(`.jal-highlight-overlay[data-comment-id="${cid}"], .jal-underline[data-comment-id="${cid}"]`).forEach(el => {
+            el.classList.remove('jal-hover');
           });
+        });
 
-          messageElement.appendChild(clickOverlay);
-          highlights.push(clickOverlay);
-        }
-      } catch (e) {
-        console.error('JAL highlightRange error:', e);
+        messageElement.appendChild(clickOverlay);
+        highlights.push(clickOverlay);
       }
 
       return highlights;
@@ -2862,6 +4400,51 @@
       return textNodes;
     },
 
+    /**
+     * Render the nested replies of a comment thread
+     */
+    renderRepliesHtml(commentId, listClass, itemClass) {
+      const replies = JAL.getThreadReplies(commentId);
+      if (replies.length === 0) return '';
+
+      return `
+        <div class="${listClass}">
+          ${replies.map(reply => `
+            <div class="${itemClass}" data-comment-id="${reply.commentId}">
+              <span class="${itemClass}-body">${this.escapeHtml(reply.body)}</span>
+              <button class="${itemClass}-delete" title="Delete reply">×</button>
+            </div>
+          `).join('')}
+        </div>
+      `;
+    },
+
+    /**
+     * Render a comment's edit history (hidden until toggled), newest first
+     * Each entry shows the word diff from that version to the one after it
+     */
+    renderHistoryHtml(comment) {
+      const versions = [...comment.revisions.map(r => r.body), comment.body];
+
+      const entries = comment.revisions.map((revision, idx) => {
+        const diffHtml = JAL.Utils.diffWords(revision.body, versions[idx + 1]).map(part => {
+          const text = this.escapeHtml(part.text);
+          if (part.type === 'added') return `<ins>${text}</ins>`;
+          if (part.type === 'removed') return `<del>${text}</del>`;
+          return text;
+        }).join('');
+
+        return `
+          <div class="jal-popup-history-entry">
+            <div class="jal-popup-history-time">${new Date(revision.editedAt).toLocaleString()}</div>
+            <div class="jal-popup-history-diff">${diffHtml}</div>
+          </div>
+        `;
+      }).reverse().join('');
+
+      return `<div class="jal-popup-history jal-hidden">${entries}</div>`;
+    },
+
     /**
      * Escape HTML for safe rendering
      */
@@ -2872,6 +4455,13 @@
     }
   };
 
+  // Answer diagnostics requests from the popup (even when no adapter is active)
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.type === 'RUN_DIAGNOSTICS') {
+      sendResponse(JAL.Diagnostics.run(JAL.state));
+    }
+  });
+
   // Initialize when DOM is ready
   if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', () => JAL.init());
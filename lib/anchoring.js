@@ -12,6 +12,10 @@ window.JAL.Anchoring = {
   // Also: \n (newline) - treats line breaks as sentence boundaries
   SENTENCE_END: /[.!?。！？；\n]/,
 
+  // Matches below this confidence are treated as orphaned - reanchor's last
+  // resort (0.2) only guesses from the old position
+  ORPHAN_CONFIDENCE: 0.3,
+
   /**
    * Check if a node is inside an equation element
    */
@@ -30,6 +34,113 @@ window.JAL.Anchoring = {
     return null;
   },
 
+  // Rendered equation roots: KaTeX, MathJax 3 and MathJax 2
+  EQUATION_SELECTOR: '.katex, mjx-container, .MathJax',
+
+  /**
+   * Get the rendered equation root a node is in, or null
+   */
+  getEquationRoot(node) {
+    const el = node.nodeType === Node.TEXT_NODE ? node.parentElement : node;
+    return el?.closest?.(this.EQUATION_SELECTOR) || null;
+  },
+
+  /**
+   * Get the outermost equation roots in an element, in document order
+   */
+  getEquationRoots(element) {
+    return Array.from(element.querySelectorAll(this.EQUATION_SELECTOR))
+      .filter(el => !el.parentElement?.closest(this.EQUATION_SELECTOR));
+  },
+
+  /**
+   * Get the TeX source of a rendered equation, or null if the page didn't keep it
+   * KaTeX keeps it in the MathML annotation, MathJax 2 in the script after the render
+   */
+  getEquationTex(root) {
+    const annotation = root.querySelector('annotation[encoding="application/x-tex"]');
+    if (annotation) return annotation.textContent.trim();
+
+    const attr = root.closest('[data-latex], [data-tex]') || root.querySelector('[data-latex], [data-tex]');
+    if (attr) return (attr.getAttribute('data-latex') || attr.getAttribute('data-tex')).trim();
+
+    const frame = root.closest('.MathJax_Display') || root;
+    const script = frame.nextElementSibling;
+    if (script?.matches('script[type^="math/tex"]')) return script.textContent.trim();
+
+    return null;
+  },
+
+  /**
+   * Check if an equation is display math (its own block) rather than inline
+   */
+  isDisplayEquation(root) {
+    if (root.closest('.katex-display, .MathJax_Display')) return true;
+    if (root.getAttribute('display') === 'true') return true;
+    const script = root.nextElementSibling;
+    return !!script?.matches('script[type*="mode=display"]');
+  },
+
+  /**
+   * Wrap TeX in $...$ (or $$...$$ for display math)
+   */
+  wrapTex(tex, display) {
+    return display ? `$$${tex}$$` : `$${tex}$`;
+  },
+
+  /**
+   * Get a range's text with each equation replaced by its $TeX$ source
+   * Text ends are expanded to full words like expandSelection does
+   * Returns null if the range has no equations or one has no TeX source
+   */
+  getRangeTex(range) {
+    const root = range.commonAncestorContainer;
+    const rootEl = root.nodeType === Node.TEXT_NODE ? root.parentElement : root;
+    const containing = this.getEquationRoot(rootEl);
+
+    // Selection entirely inside one equation
+    if (containing) {
+      const tex = this.getEquationTex(containing);
+      return tex ? this.wrapTex(tex, this.isDisplayEquation(containing)) : null;
+    }
+
+    const walker = document.createTreeWalker(rootEl, NodeFilter.SHOW_TEXT, {
+      acceptNode: (node) => {
+        if (node.parentElement?.closest('script, style')) return NodeFilter.FILTER_REJECT;
+        if (this.getEquationRoot(node)) return NodeFilter.FILTER_ACCEPT;
+        return this.shouldSkipNode(node) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT;
+      }
+    });
+
+    const done = new Set();
+    let text = '';
+    let sawEquation = false;
+    let node;
+    while ((node = walker.nextNode())) {
+      if (!range.intersectsNode(node)) continue;
+
+      const equation = this.getEquationRoot(node);
+      if (equation) {
+        if (done.has(equation)) continue;
+        done.add(equation);
+        const tex = this.getEquationTex(equation);
+        if (!tex) return null;
+        text += this.wrapTex(tex, this.isDisplayEquation(equation));
+        sawEquation = true;
+        continue;
+      }
+
+      const content = node.textContent;
+      let start = node === range.startContainer ? range.startOffset : 0;
+      let end = node === range.endContainer ? range.endOffset : content.length;
+      while (start > 0 && /\w/.test(content[start - 1])) start--;
+      while (end < content.length && /\w/.test(content[end])) end++;
+      text += content.slice(start, end);
+    }
+
+    return sawEquation ? text.replace(/\s+/g, ' ').trim() : null;
+  },
+
   /**
    * Clean duplicated equation text from selection
    * KaTeX/MathJax renders equations multiple times (display + accessibility)
@@ -171,20 +282,35 @@ window.JAL.Anchoring = {
       }
 
       // Get text from expanded range and clean it
-      let selectedText = expandedRange.toString().trim();
+      let selectedText = this.getRangeText(expandedRange).trim();
       selectedText = this.cleanEquationDuplicates(selectedText, messageText);
       selectedText = this.expandToFullWords(selectedText, messageText);
       return selectedText.trim();
     }
 
     // No equations involved - just clean and expand words
-    let selectedText = selection.toString().trim();
+    let selectedText = this.getRangeText(range).trim();
     selectedText = this.cleanEquationDuplicates(selectedText, messageText);
     selectedText = this.expandToFullWords(selectedText, messageText);
 
     return selectedText.trim();
   },
 
+  /**
+   * Get the text of a range, leaving out elements flagged with data-jal-ignore
+   */
+  getRangeText(range) {
+    const root = range.commonAncestorContainer;
+    const rootEl = root.nodeType === Node.TEXT_NODE ? root.parentElement : root;
+    if (!rootEl?.querySelector?.('[data-jal-ignore]')) {
+      return range.toString();
+    }
+
+    const fragment = range.cloneContents();
+    fragment.querySelectorAll('[data-jal-ignore]').forEach(el => el.remove());
+    return fragment.textContent;
+  },
+
   /**
    * Check if a character is CJK (Chinese/Japanese/Korean)
    * CJK languages don't use spaces between words
@@ -352,6 +478,286 @@ window.JAL.Anchoring = {
     return -1;
   },
 
+  /**
+   * Get the code element of the <pre> block a node is in, or null
+   */
+  getCodeBlock(node) {
+    const el = node.nodeType === Node.TEXT_NODE ? node.parentElement : node;
+    const pre = el?.closest?.('pre');
+    if (!pre) return null;
+    return pre.querySelector('code') || pre;
+  },
+
+  /**
+   * Get a code block's language from its language-xxx class, or ''
+   */
+  getCodeLanguage(codeElement) {
+    const el = codeElement.closest('pre') || codeElement;
+    for (const node of [codeElement, el]) {
+      const match = (node.className || '').toString().match(/(?:^|\s)(?:language|lang)-([\w+#-]+)/);
+      if (match) return match[1];
+      if (node.dataset?.language) return node.dataset.language;
+    }
+    return '';
+  },
+
+  /**
+   * Get the text nodes of a code block, skipping the same nodes as getTextContent
+   */
+  getCodeTextNodes(codeElement) {
+    const walker = document.createTreeWalker(codeElement, NodeFilter.SHOW_TEXT, {
+      acceptNode: (node) => this.shouldSkipNode(node) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT
+    });
+    const nodes = [];
+    let node;
+    while ((node = walker.nextNode())) nodes.push(node);
+    return nodes;
+  },
+
+  /**
+   * Convert a DOM boundary point into a character offset within a code block
+   * Points outside the block are clamped to its start or end
+   */
+  getCodeOffset(codeElement, nodes, container, offset) {
+    if (!codeElement.contains(container)) {
+      const before = codeElement.compareDocumentPosition(container) & Node.DOCUMENT_POSITION_PRECEDING;
+      return before ? 0 : nodes.reduce((sum, n) => sum + n.textContent.length, 0);
+    }
+
+    const range = document.createRange();
+    range.setStart(codeElement, 0);
+    range.setEnd(container, offset);
+
+    let total = 0;
+    for (const node of nodes) {
+      if (node === container) return total + offset;
+      if (!range.intersectsNode(node)) break;
+      total += node.textContent.length;
+    }
+    return total;
+  },
+
+  /**
+   * Convert a character offset in code text into { line, col } (line is 1-based)
+   */
+  offsetToLineCol(codeText, offset) {
+    const before = codeText.slice(0, offset).split('\n');
+    return { line: before.length, col: before[before.length - 1].length };
+  },
+
+  /**
+   * Convert { line, col } back into a character offset, or -1 if out of range
+   */
+  lineColToOffset(codeText, line, col) {
+    const lines = codeText.split('\n');
+    if (line < 1 || line > lines.length || col > lines[line - 1].length) return -1;
+    return lines.slice(0, line - 1).reduce((sum, l) => sum + l.length + 1, 0) + col;
+  },
+
+  /**
+   * Create a code anchor for a selection inside a single <pre> block
+   * Code is taken verbatim - no word expansion, and the context is the selected lines
+   */
+  createCodeAnchor(range, messageElement, messageText) {
+    const codeElement = this.getCodeBlock(range.startContainer);
+    if (!codeElement || this.getCodeBlock(range.endContainer) !== codeElement) {
+      return null;
+    }
+
+    const nodes = this.getCodeTextNodes(codeElement);
+    const codeText = nodes.map(n => n.textContent).join('');
+    let start = this.getCodeOffset(codeElement, nodes, range.startContainer, range.startOffset);
+    let end = this.getCodeOffset(codeElement, nodes, range.endContainer, range.endOffset);
+
+    // A triple-click selects the trailing newline too
+    while (end > start && codeText[end - 1] === '\n') end--;
+    if (end <= start) return null;
+
+    const quoteExact = codeText.slice(start, end);
+    const from = this.offsetToLineCol(codeText, start);
+    const to = this.offsetToLineCol(codeText, end);
+    const lines = codeText.split('\n').slice(from.line - 1, to.line).join('\n');
+
+    const blocks = Array.from(messageElement.querySelectorAll('pre'));
+    const startHint = this.findPositionInText(messageText, quoteExact, range);
+
+    return {
+      type: 'code',
+      messageFingerprint: window.JAL.Utils.fingerprint(messageText),
+      quoteExact,
+      contextSentences: lines,
+      prefix: '',
+      suffix: '',
+      startHint,
+      code: {
+        blockIndex: blocks.indexOf(codeElement.closest('pre')),
+        language: this.getCodeLanguage(codeElement),
+        startLine: from.line,
+        startCol: from.col,
+        endLine: to.line,
+        endCol: to.col
+      }
+    };
+  },
+
+  /**
+   * Get the table cell (td/th) a node is in, or null
+   */
+  getTableCell(node) {
+    const el = node.nodeType === Node.TEXT_NODE ? node.parentElement : node;
+    return el?.closest?.('td, th') || null;
+  },
+
+  /**
+   * Get a cell's visible text with whitespace collapsed
+   */
+  getCellText(cell) {
+    return cell ? window.JAL.Utils.getTextContent(cell).replace(/\s+/g, ' ').trim() : '';
+  },
+
+  /**
+   * Describe a cell by its row and column headers, e.g. 'Row: Alice | Column: Age'
+   * The row header is the row's first cell, the column header the header row's cell
+   */
+  describeTableCell(cell) {
+    const row = cell.parentElement;
+    const table = cell.closest('table');
+    const col = cell.cellIndex;
+    const headerRow = table.tHead?.rows[0] || table.rows[0];
+
+    const parts = [];
+    if (col > 0) {
+      const rowHeader = this.getCellText(row.cells[0]);
+      if (rowHeader) parts.push(`Row: ${rowHeader}`);
+    }
+    if (headerRow && headerRow !== row) {
+      const colHeader = this.getCellText(headerRow.cells[col]);
+      if (colHeader) parts.push(`Column: ${colHeader}`);
+    }
+
+    // A header cell, or a table without headers - fall back to the whole row
+    if (parts.length === 0) {
+      return Array.from(row.cells).map(c => this.getCellText(c)).join(' | ');
+    }
+    return parts.join(' | ');
+  },
+
+  /**
+   * Create a table anchor for a selection inside a single cell
+   * The whole cell is anchored, with its headers as context
+   */
+  createTableAnchor(range, messageElement, messageText) {
+    const cell = this.getTableCell(range.startContainer);
+    if (!cell || this.getTableCell(range.endContainer) !== cell) {
+      return null;
+    }
+
+    const quoteExact = this.getCellText(cell);
+    if (!quoteExact) return null;
+
+    const table = cell.closest('table');
+    const tables = Array.from(messageElement.querySelectorAll('table'));
+
+    return {
+      type: 'table',
+      messageFingerprint: window.JAL.Utils.fingerprint(messageText),
+      quoteExact,
+      contextSentences: this.describeTableCell(cell),
+      prefix: '',
+      suffix: '',
+      startHint: this.findPositionInText(messageText, quoteExact, range),
+      table: {
+        tableIndex: tables.indexOf(table),
+        row: Array.from(table.rows).indexOf(cell.parentElement),
+        col: cell.cellIndex
+      }
+    };
+  },
+
+  /**
+   * Get the image a node is in: an <img>, or the outermost <svg> (charts, mermaid diagrams)
+   */
+  getImageElement(node) {
+    const el = node.nodeType === Node.TEXT_NODE ? node.parentElement : node;
+    const img = el?.closest?.('img');
+    if (img) return img;
+
+    let svg = el?.closest?.('svg');
+    while (svg?.parentElement?.closest('svg')) {
+      svg = svg.parentElement.closest('svg');
+    }
+    return svg || null;
+  },
+
+  /**
+   * Check if an image is content worth commenting on, not an icon or a button
+   * Only uses sizes that don't depend on layout, so image indices stay stable
+   * while lazy-loaded images are still empty
+   */
+  isCommentableImage(image) {
+    if (image.closest('button, [role="button"]')) return false;
+
+    // Declared size, else the intrinsic size once loaded (0 = unknown, counted)
+    const width = Number(image.getAttribute('width')) || image.naturalWidth || 0;
+    const height = Number(image.getAttribute('height')) || image.naturalHeight || 0;
+    return !(width && width < 48) && !(height && height < 48);
+  },
+
+  /**
+   * Get the commentable images in a message, in document order
+   */
+  getImageElements(messageElement) {
+    return Array.from(messageElement.querySelectorAll('img, svg'))
+      .filter(el => this.getImageElement(el) === el && this.isCommentableImage(el));
+  },
+
+  /**
+   * Get an image's src without its query string (generated image URLs are re-signed)
+   */
+  getImageSrc(image) {
+    const src = image.tagName.toLowerCase() === 'img' ? (image.currentSrc || image.src || '') : '';
+    return src.split('?')[0];
+  },
+
+  /**
+   * Describe an image for the comment list and prompt context
+   * Uses the alt text, or a diagram's own labels
+   */
+  describeImage(image) {
+    const text = image.tagName.toLowerCase() === 'img'
+      ? image.alt || ''
+      : image.textContent || '';
+    return text.replace(/\s+/g, ' ').trim().slice(0, 200);
+  },
+
+  /**
+   * Create an anchor on an image, optionally a region of it
+   * region is { x, y, width, height } as fractions of the image size, or null for the whole image
+   */
+  createImageAnchor(image, messageElement, messageText, region = null) {
+    const imageIndex = this.getImageElements(messageElement).indexOf(image);
+    if (imageIndex === -1) return null;
+
+    const kind = image.tagName.toLowerCase() === 'img' ? 'image' : 'diagram';
+    const description = this.describeImage(image);
+
+    return {
+      type: 'image',
+      messageFingerprint: window.JAL.Utils.fingerprint(messageText),
+      quoteExact: description || `${kind === 'image' ? 'Image' : 'Diagram'} ${imageIndex + 1}`,
+      contextSentences: description,
+      prefix: '',
+      suffix: '',
+      startHint: 0,
+      image: {
+        imageIndex,
+        kind,
+        src: this.getImageSrc(image),
+        region
+      }
+    };
+  },
+
   /**
    * Create an anchor from a selection within a message
    */
@@ -362,6 +768,14 @@ window.JAL.Anchoring = {
 
     const range = selection.getRangeAt(0);
 
+    // Selections inside one code block are anchored by line and column,
+    // and selections inside one table cell by the cell's position
+    const structuredAnchor = this.createCodeAnchor(range, messageElement, messageText) ||
+      this.createTableAnchor(range, messageElement, messageText);
+    if (structuredAnchor) {
+      return structuredAnchor;
+    }
+
     // Expand selection to full words and full equations
     const quoteExact = this.expandSelection(selection, messageText);
 
@@ -375,9 +789,32 @@ window.JAL.Anchoring = {
     // Extract the complete sentence(s) containing the quote as context
     const contextSentences = this.extractSentenceContext(messageText, quoteExact, startHint);
 
+    // Equations are quoted to the model as their TeX source rather than rendered glyphs
+    const quoteTex = this.getRangeTex(range);
+    const startEquation = this.getEquationRoot(range.startContainer);
+    if (quoteTex && startEquation && startEquation === this.getEquationRoot(range.endContainer)) {
+      return {
+        type: 'equation',
+        messageFingerprint: window.JAL.Utils.fingerprint(messageText),
+        quoteExact,
+        quoteTex,
+        contextSentences,
+        prefix: '',
+        suffix: '',
+        startHint,
+        equation: {
+          index: this.getEquationRoots(messageElement).indexOf(startEquation),
+          tex: this.getEquationTex(startEquation),
+          display: this.isDisplayEquation(startEquation)
+        }
+      };
+    }
+
     return {
+      type: 'text',
       messageFingerprint: window.JAL.Utils.fingerprint(messageText),
       quoteExact,
+      ...(quoteTex && { quoteTex }),
       contextSentences,
       prefix: '', // kept for backward compatibility
       suffix: '',
@@ -385,6 +822,48 @@ window.JAL.Anchoring = {
     };
   },
 
+  /**
+   * Create an anchor from a DOM range (e.g. one message's part of a longer selection)
+   */
+  createAnchorFromRange(range, messageElement, messageText) {
+    const selection = { isCollapsed: range.collapsed, getRangeAt: () => range };
+    return this.createAnchor(selection, messageElement, messageText);
+  },
+
+  /**
+   * Clip a range to the part inside an element
+   */
+  clipRange(range, element) {
+    const clipped = range.cloneRange();
+    if (!element.contains(range.startContainer)) {
+      clipped.setStart(element, 0);
+    }
+    if (!element.contains(range.endContainer)) {
+      clipped.setEnd(element, element.childNodes.length);
+    }
+    return clipped;
+  },
+
+  /**
+   * Combine per-message anchors into one anchor spanning several messages
+   * Each segment also carries its sourceMessageIndex and is looked up on its own;
+   * the top-level message fields are the first segment's, for code that groups by message
+   */
+  createMultiAnchor(segments) {
+    const first = segments[0];
+    return {
+      type: 'multi',
+      messageFingerprint: first.messageFingerprint,
+      messageId: first.messageId,
+      quoteExact: segments.map(s => s.quoteExact).join(' … '),
+      contextSentences: segments.map(s => s.contextSentences).filter(Boolean).join(' … '),
+      prefix: '',
+      suffix: '',
+      startHint: first.startHint,
+      segments
+    };
+  },
+
   /**
    * Find approximate position of selection in message text
    */
@@ -754,6 +1233,49 @@ window.JAL.Anchoring = {
     return -1;
   },
 
+  /**
+   * Find the text most similar to an anchor's quote across several messages
+   * Used to suggest where an orphaned comment belongs
+   * Returns { index, position, length, score } or null if nothing is close enough
+   */
+  findBestCandidate(anchor, messageTexts, minScore = 0.5) {
+    // Long quotes are compared by their opening - enough to place them, and keeps this fast
+    const quote = anchor.quoteExact.slice(0, 60);
+    if (!quote.trim()) return null;
+
+    let best = null;
+    const consider = (index, position, score) => {
+      if (score >= minScore && (!best || score > best.score)) {
+        best = { index, position, length: anchor.quoteExact.length, score };
+      }
+    };
+
+    messageTexts.forEach((text, index) => {
+      const exact = text.indexOf(quote);
+      if (exact !== -1) {
+        consider(index, exact, 1);
+        return;
+      }
+
+      // Coarse scan, then refine around the best coarse window
+      const step = Math.max(1, Math.floor(quote.length / 4));
+      let coarse = { position: -1, score: 0 };
+      for (let pos = 0; pos + quote.length <= text.length; pos += step) {
+        const score = this.similarity(quote, text.substr(pos, quote.length));
+        if (score > coarse.score) coarse = { position: pos, score };
+      }
+      if (coarse.position === -1) return;
+
+      const from = Math.max(0, coarse.position - step);
+      const to = Math.min(text.length - quote.length, coarse.position + step);
+      for (let pos = from; pos <= to; pos++) {
+        consider(index, pos, this.similarity(quote, text.substr(pos, quote.length)));
+      }
+    });
+
+    return best;
+  },
+
   /**
    * Find position using just context (when quote is completely changed)
    */
@@ -787,6 +1309,8 @@ window.JAL.Anchoring = {
       if (el.classList?.contains('katex-mathml')) return true;
       // Skip MathJax assistive MML (duplicate)
       if (el.tagName?.toLowerCase() === 'mjx-assistive-mml') return true;
+      // Skip elements adapters flagged as not part of the message (citation chips)
+      if (el.hasAttribute?.('data-jal-ignore')) return true;
       // Skip aria-hidden elements (but not katex-html which is visible)
       if (el.getAttribute?.('aria-hidden') === 'true' && !el.classList?.contains('katex-html')) {
         return true;
@@ -800,11 +1324,198 @@ window.JAL.Anchoring = {
    * Create a DOM range for highlighting an anchor
    */
   createRangeForAnchor(anchor, messageElement) {
+    return this.resolveAnchor(anchor, messageElement).range;
+  },
+
+  /**
+   * Locate an anchor in a message: { range, confidence }
+   * range is null when no position could be mapped to the DOM
+   */
+  resolveAnchor(anchor, messageElement) {
+    // Multi-message anchors: the first segment found in this message
+    if (anchor.type === 'multi' && anchor.segments?.length) {
+      let best = { range: null, confidence: 0 };
+      for (const segment of anchor.segments) {
+        const resolved = this.resolveAnchor(segment, messageElement);
+        if (resolved.range && resolved.confidence >= this.ORPHAN_CONFIDENCE) return resolved;
+        if (resolved.confidence > best.confidence) best = resolved;
+      }
+      return best;
+    }
+    if (anchor.type === 'code' && anchor.code) {
+      const resolved = this.resolveCodeAnchor(anchor, messageElement);
+      if (resolved) return resolved;
+    }
+    if (anchor.type === 'table' && anchor.table) {
+      const resolved = this.resolveTableAnchor(anchor, messageElement);
+      if (resolved) return resolved;
+    }
+    if (anchor.type === 'equation' && anchor.equation) {
+      const resolved = this.resolveEquationAnchor(anchor, messageElement);
+      if (resolved) return resolved;
+    }
+    if (anchor.type === 'image' && anchor.image) {
+      // Images have no text to fall back to
+      return this.resolveImageAnchor(anchor, messageElement) || { range: null, confidence: 0 };
+    }
+
     const messageText = window.JAL.Utils.getTextContent(messageElement);
     const result = this.reanchor(anchor, messageText);
 
-    if (!result.success) return null;
+    if (!result.success) return { range: null, confidence: 0 };
+    return { range: this._createRange(anchor, messageElement, messageText, result), confidence: result.confidence };
+  },
+
+  /**
+   * Locate a code anchor by line and column, then by its exact text in any code block
+   * Returns null when no code block has it, so the caller falls back to text matching
+   */
+  resolveCodeAnchor(anchor, messageElement) {
+    const { blockIndex, startLine, startCol, endLine, endCol } = anchor.code;
+    const blocks = Array.from(messageElement.querySelectorAll('pre'));
+
+    // Same block first, then the others in order
+    const ordered = blocks[blockIndex]
+      ? [blocks[blockIndex], ...blocks.filter((_, i) => i !== blockIndex)]
+      : blocks;
+
+    for (const pre of ordered) {
+      const codeElement = pre.querySelector('code') || pre;
+      const nodes = this.getCodeTextNodes(codeElement);
+      const codeText = nodes.map(n => n.textContent).join('');
+
+      let start = -1;
+      let confidence = 0.9;
+      if (pre === blocks[blockIndex]) {
+        const lineStart = this.lineColToOffset(codeText, startLine, startCol);
+        const lineEnd = this.lineColToOffset(codeText, endLine, endCol);
+        if (lineStart !== -1 && codeText.slice(lineStart, lineEnd) === anchor.quoteExact) {
+          start = lineStart;
+          confidence = 1.0;
+        }
+      }
+      if (start === -1) start = codeText.indexOf(anchor.quoteExact);
+      if (start === -1) continue;
+
+      const range = this.rangeFromOffsets(nodes, start, start + anchor.quoteExact.length);
+      if (range) return { range, confidence };
+    }
+    return null;
+  },
 
+  /**
+   * Locate a table anchor: the same cell if its text is unchanged, otherwise a cell
+   * with the same text (and headers, for full confidence) in any table
+   * Returns a range over the whole cell, or null so the caller falls back to text matching
+   */
+  resolveTableAnchor(anchor, messageElement) {
+    const { tableIndex, row, col } = anchor.table;
+    const tables = Array.from(messageElement.querySelectorAll('table'));
+
+    const cell = tables[tableIndex]?.rows[row]?.cells[col];
+    let match = cell && this.getCellText(cell) === anchor.quoteExact
+      ? { cell, confidence: 1.0 }
+      : null;
+
+    if (!match) {
+      const candidates = tables
+        .flatMap(table => Array.from(table.querySelectorAll('td, th')))
+        .filter(c => this.getCellText(c) === anchor.quoteExact);
+      const sameHeaders = candidates.find(c => this.describeTableCell(c) === anchor.contextSentences);
+
+      if (sameHeaders) {
+        match = { cell: sameHeaders, confidence: 0.9 };
+      } else if (candidates.length === 1) {
+        match = { cell: candidates[0], confidence: 0.6 };
+      }
+    }
+    if (!match) return null;
+
+    const range = document.createRange();
+    range.selectNodeContents(match.cell);
+    return { range, confidence: match.confidence };
+  },
+
+  /**
+   * Locate an equation anchor by its TeX source, preferring the equation at its old index
+   * Re-rendered equations keep their source even when the glyph text changes
+   */
+  resolveEquationAnchor(anchor, messageElement) {
+    const { index, tex } = anchor.equation;
+    if (!tex) return null;
+
+    const matches = this.getEquationRoots(messageElement)
+      .map((root, i) => ({ root, i }))
+      .filter(({ root }) => this.getEquationTex(root) === tex);
+    if (matches.length === 0) return null;
+
+    // Nearest to where it was
+    const best = matches.reduce((a, b) => Math.abs(b.i - index) < Math.abs(a.i - index) ? b : a);
+
+    const range = document.createRange();
+    range.selectNodeContents(best.root);
+    return { range, confidence: best.i === index ? 1.0 : 0.9 };
+  },
+
+  /**
+   * Locate an image anchor: the image with the same src (or diagram labels),
+   * preferring its old index, else whatever image of the same kind is at that index
+   */
+  resolveImageAnchor(anchor, messageElement) {
+    const { imageIndex, kind, src } = anchor.image;
+    const images = this.getImageElements(messageElement);
+
+    const sameKind = (image) => (image.tagName.toLowerCase() === 'img') === (kind === 'image');
+    const sameImage = (image) => src
+      ? this.getImageSrc(image) === src
+      : this.describeImage(image) === anchor.contextSentences;
+    const matches = images
+      .map((image, i) => ({ image, i }))
+      .filter(({ image }) => sameKind(image) && sameImage(image));
+
+    let match = null;
+    if (matches.length > 0) {
+      const best = matches.reduce((a, b) => Math.abs(b.i - imageIndex) < Math.abs(a.i - imageIndex) ? b : a);
+      match = { image: best.image, confidence: best.i === imageIndex ? 1.0 : 0.9 };
+    } else if (images[imageIndex] && sameKind(images[imageIndex])) {
+      // Regenerated images get new URLs - same position is a fair guess
+      match = { image: images[imageIndex], confidence: 0.5 };
+    }
+    if (!match) return null;
+
+    const range = document.createRange();
+    range.selectNode(match.image);
+    return { range, confidence: match.confidence };
+  },
+
+  /**
+   * Build a range from character offsets over a list of text nodes
+   */
+  rangeFromOffsets(nodes, start, end) {
+    let charCount = 0;
+    let startNode = null, startOffset = 0;
+
+    for (const node of nodes) {
+      const nodeLen = node.textContent.length;
+      if (!startNode && charCount + nodeLen > start) {
+        startNode = node;
+        startOffset = start - charCount;
+      }
+      if (startNode && charCount + nodeLen >= end) {
+        const range = document.createRange();
+        range.setStart(startNode, startOffset);
+        range.setEnd(node, end - charCount);
+        return range;
+      }
+      charCount += nodeLen;
+    }
+    return null;
+  },
+
+  /**
+   * Map a reanchor result onto the message's text nodes
+   */
+  _createRange(anchor, messageElement, messageText, result) {
     // Use a filtered TreeWalker that skips the same elements as getTextContent
     const walker = document.createTreeWalker(
       messageElement,
@@ -0,0 +1,156 @@
+/**
+ * JAL - Provider diagnostics
+ * Runs the active adapter's methods against the current page and reports
+ * what works, so a broken site can be narrowed down to a selector or method
+ */
+
+window.JAL = window.JAL || {};
+
+window.JAL.Diagnostics = {
+  /**
+   * Run every check against the page
+   * Returns { provider, host, selectorPack, ranAt, results: [{ name, status, detail }] }
+   * where status is 'pass', 'fail' or 'skip' (a prerequisite check failed)
+   */
+  run(state) {
+    const adapter = state.adapter;
+    const results = [];
+
+    const check = (name, fn) => {
+      try {
+        results.push({ name, ...fn() });
+      } catch (error) {
+        results.push({ name, status: 'fail', detail: `threw ${error.message}` });
+      }
+    };
+    const skip = (name, detail) => results.push({ name, status: 'skip', detail });
+
+    const report = {
+      provider: state.provider || 'unknown',
+      host: window.location.hostname,
+      version: chrome.runtime.getManifest().version,
+      selectorPack: state.selectorPack,
+      ranAt: new Date().toISOString(),
+      results
+    };
+
+    check('provider', () => (adapter && adapter.isActive()
+      ? { status: 'pass', detail: `${state.provider} adapter active` }
+      : { status: 'fail', detail: 'No adapter is active on this page' }));
+
+    if (!adapter || !adapter.isActive()) {
+      return report;
+    }
+
+    check('capabilities', () => {
+      const missing = window.JAL.Providers.Base.getMissingCapabilities(adapter);
+      return missing.length === 0
+        ? { status: 'pass', detail: 'All required methods implemented' }
+        : { status: 'fail', detail: `Missing ${missing.join(', ')}` };
+    });
+
+    let assistantMessages = [];
+    check('getAssistantMessages', () => {
+      assistantMessages = adapter.getAssistantMessages();
+      return { status: assistantMessages.length > 0 ? 'pass' : 'fail', detail: `${assistantMessages.length} found` };
+    });
+
+    let userMessages = [];
+    check('getUserMessages', () => {
+      userMessages = adapter.getUserMessages();
+      return { status: userMessages.length > 0 ? 'pass' : 'fail', detail: `${userMessages.length} found` };
+    });
+
+    check('getComposerElement', () => {
+      const composer = adapter.getComposerElement();
+      return composer
+        ? { status: 'pass', detail: `found <${composer.tagName.toLowerCase()}>` }
+        : { status: 'fail', detail: 'not found' };
+    });
+
+    // A text node deep inside the latest answer should lead back to that answer
+    const lastMessage = assistantMessages[assistantMessages.length - 1];
+    const sampleNode = lastMessage && this._findSampleTextNode(lastMessage);
+    if (sampleNode) {
+      check('findMessageContainer', () => {
+        const container = adapter.findMessageContainer(sampleNode);
+        if (!container) {
+          return { status: 'fail', detail: 'returned null for a text node in the latest answer' };
+        }
+        const related = container === lastMessage || container.contains(lastMessage) || lastMessage.contains(container);
+        return related
+          ? { status: 'pass', detail: `resolved to <${container.tagName.toLowerCase()}>` }
+          : { status: 'fail', detail: 'resolved to an element outside the latest answer' };
+      });
+    } else {
+      skip('findMessageContainer', 'no answer text to sample');
+    }
+
+    if (assistantMessages.length > 0) {
+      check('isAssistantMessage', () => {
+        const accepted = assistantMessages.filter(msg => adapter.isAssistantMessage(msg)).length;
+        const rejectedUser = userMessages.filter(msg => !adapter.isAssistantMessage(msg)).length;
+        const pass = accepted === assistantMessages.length && rejectedUser === userMessages.length;
+        return {
+          status: pass ? 'pass' : 'fail',
+          detail: `${accepted}/${assistantMessages.length} answers accepted, ${rejectedUser}/${userMessages.length} user messages rejected`
+        };
+      });
+    } else {
+      skip('isAssistantMessage', 'no answers to test');
+    }
+
+    // Ids are optional - sites without them fall back to text fingerprints
+    if (assistantMessages.length > 0) {
+      check('getMessageId', () => {
+        const withId = assistantMessages.filter(msg => adapter.getMessageId(msg)).length;
+        return {
+          status: 'pass',
+          detail: withId > 0
+            ? `${withId}/${assistantMessages.length} answers have ids`
+            : 'no ids - using text fingerprints'
+        };
+      });
+    } else {
+      skip('getMessageId', 'no answers to test');
+    }
+
+    check('isStreaming', () => ({
+      status: 'pass',
+      detail: adapter.isStreaming() ? 'response streaming' : 'idle'
+    }));
+
+    return report;
+  },
+
+  /**
+   * First non-blank text node inside an element
+   */
+  _findSampleTextNode(element) {
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT, {
+      acceptNode: (node) => node.textContent.trim() ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_SKIP
+    });
+    return walker.nextNode();
+  },
+
+  /**
+   * Plain-text report for pasting into a bug report
+   */
+  format(report) {
+    const pack = report.selectorPack
+      ? `${report.selectorPack.source} v${report.selectorPack.version}`
+      : 'none';
+    const lines = [
+      `JAL diagnostics - ${report.provider} on ${report.host}`,
+      `Extension: ${report.version} | Selector pack: ${pack} | ${report.ranAt}`,
+      '',
+      ...report.results.map(r => `[${r.status.toUpperCase()}] ${r.name}: ${r.detail}`)
+    ];
+
+    const failed = report.results.filter(r => r.status === 'fail').length;
+    lines.push('', failed === 0 ? 'All checks passed' : `${failed} check(s) failed`);
+    return lines.join('\n');
+  }
+};
+
+console.log('JAL Diagnostics loaded');
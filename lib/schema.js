@@ -0,0 +1,106 @@
+/**
+ * JAL - Comment schema
+ * Versions stored comment records and upgrades older ones
+ *
+ * Loaded in content scripts, the popup and the background worker
+ * (uses self, which is window in pages)
+ */
+
+self.JAL = self.JAL || {};
+
+self.JAL.Schema = {
+  CURRENT_VERSION: 4,
+
+  /**
+   * Migrations keyed by the version they upgrade to
+   * Each takes a comment at the previous version and returns it upgraded
+   */
+  migrations: {
+    // 0 -> 1: records from before versioning - fill in fields added over time
+    1(comment) {
+      const anchor = comment.anchor || {};
+      return {
+        ...comment,
+        threadId: comment.threadId || null,
+        createdAt: comment.createdAt || 0,
+        status: comment.status || 'draft',
+        sendMode: comment.sendMode || 'individual',
+        selected: comment.selected || false,
+        askedInMessageIndex: comment.askedInMessageIndex || null,
+        askedInMessageId: comment.askedInMessageId || null,
+        anchor: {
+          ...anchor,
+          messageFingerprint: anchor.messageFingerprint || '',
+          quoteExact: anchor.quoteExact || '',
+          contextSentences: anchor.contextSentences || '',
+          prefix: anchor.prefix || '',
+          suffix: anchor.suffix || '',
+          startHint: typeof anchor.startHint === 'number' ? anchor.startHint : 0
+        }
+      };
+    },
+
+    // 1 -> 2: edit history - previous bodies as [{ body, editedAt }]
+    2(comment) {
+      return {
+        ...comment,
+        revisions: Array.isArray(comment.revisions) ? comment.revisions : []
+      };
+    },
+
+    // 2 -> 3: provider message id on the anchor (null until the message is seen with one)
+    3(comment) {
+      return {
+        ...comment,
+        anchor: { ...comment.anchor, messageId: comment.anchor?.messageId || null }
+      };
+    },
+
+    // 3 -> 4: anchor type - everything before was a prose ('text') anchor
+    4(comment) {
+      return {
+        ...comment,
+        anchor: { ...comment.anchor, type: comment.anchor?.type || 'text' }
+      };
+    }
+  },
+
+  /**
+   * Check if a comment needs migrating
+   */
+  needsMigration(comment) {
+    return (comment.schemaVersion || 0) < this.CURRENT_VERSION;
+  },
+
+  /**
+   * Upgrade a comment to the current schema version
+   * Records from a newer version are returned unchanged
+   */
+  migrate(comment) {
+    let version = comment.schemaVersion || 0;
+    if (version > this.CURRENT_VERSION) {
+      console.warn('JAL Schema: Comment', comment.commentId, 'has newer schema version', version);
+      return comment;
+    }
+
+    let migrated = comment;
+    while (version < this.CURRENT_VERSION) {
+      version++;
+      migrated = { ...this.migrations[version](migrated), schemaVersion: version };
+    }
+    return migrated;
+  },
+
+  /**
+   * Upgrade exported data ({ comments: { pageId: [...] } })
+   */
+  migrateExport(data) {
+    const comments = {};
+    for (const pageId in data.comments || {}) {
+      comments[pageId] = data.comments[pageId].map(c => this.migrate({ ...c, pageId: c.pageId || pageId }));
+    }
+    return { ...data, comments };
+  }
+};
+
+console.log('JAL Schema loaded');
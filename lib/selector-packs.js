@@ -0,0 +1,104 @@
+/**
+ * JAL - Selector packs
+ * Provider DOM selectors as versioned JSON (providers/packs/<provider>.json)
+ * Users can import an override pack from the popup; overrides that fail
+ * validation fall back to the built-in pack
+ *
+ * Loaded in the popup and the background worker
+ * (uses self, which is window in pages)
+ */
+
+self.JAL = self.JAL || {};
+
+self.JAL.SelectorPacks = {
+  // chrome.storage.local key holding override packs ({ provider: pack })
+  STORAGE_KEY: 'selectorPacks',
+
+  /**
+   * Load the pack shipped with the extension
+   */
+  async loadBuiltin(provider) {
+    if (!/^[a-z]+$/.test(provider)) {
+      throw new Error(`Unknown provider "${provider}"`);
+    }
+
+    const response = await fetch(chrome.runtime.getURL(`providers/packs/${provider}.json`));
+    if (!response.ok) {
+      throw new Error(`No built-in selector pack for "${provider}"`);
+    }
+    return response.json();
+  },
+
+  /**
+   * Validate a pack against the built-in pack for its provider
+   * Returns an error message, or null if valid
+   */
+  validate(pack, builtin) {
+    if (!pack || typeof pack !== 'object') {
+      return 'Pack must be a JSON object';
+    }
+    if (pack.provider !== builtin.provider) {
+      return `Pack is for "${pack.provider}", expected "${builtin.provider}"`;
+    }
+    if (!Number.isInteger(pack.version) || pack.version < 1) {
+      return 'version must be a positive integer';
+    }
+    if (!pack.selectors || typeof pack.selectors !== 'object' || Array.isArray(pack.selectors)) {
+      return 'selectors must be an object';
+    }
+
+    for (const [key, list] of Object.entries(pack.selectors)) {
+      if (!(key in builtin.selectors)) {
+        return `Unknown selector group "${key}"`;
+      }
+      if (!Array.isArray(list) || list.length === 0 || !list.every(s => typeof s === 'string' && s.trim())) {
+        return `"${key}" must be a non-empty list of selectors`;
+      }
+
+      // Syntax check needs a DOM - the popup has one, the worker doesn't
+      if (typeof document !== 'undefined') {
+        for (const selector of list) {
+          try {
+            document.createDocumentFragment().querySelector(selector);
+          } catch (e) {
+            return `Invalid selector in "${key}": ${selector}`;
+          }
+        }
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * Resolve a provider's selectors - the user's override merged over the built-in pack
+   * Groups the override leaves out keep their built-in selectors
+   */
+  async resolve(provider) {
+    const builtin = await this.loadBuiltin(provider);
+    const result = await chrome.storage.local.get(this.STORAGE_KEY);
+    const override = (result[this.STORAGE_KEY] || {})[provider];
+
+    if (override) {
+      const error = this.validate(override, builtin);
+      if (!error) {
+        return {
+          provider,
+          version: override.version,
+          source: 'override',
+          selectors: { ...builtin.selectors, ...override.selectors }
+        };
+      }
+      console.warn('JAL SelectorPacks: Ignoring override for', provider, '-', error);
+    }
+
+    return {
+      provider,
+      version: builtin.version,
+      source: 'builtin',
+      selectors: builtin.selectors
+    };
+  }
+};
+
+console.log('JAL SelectorPacks loaded');
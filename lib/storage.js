@@ -56,7 +56,27 @@ window.JAL.Storage = {
   },
 
   /**
-   * Delete a comment
+   * Update several comments at once (written atomically)
+   * changes: [{ commentId, updates }]. Ids no longer in storage are skipped and
+   * returned in missing
+   */
+  async updateComments(changes) {
+    if (changes.length === 0) return { success: true, missing: [] };
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage(
+        { type: 'UPDATE_COMMENTS', changes },
+        (response) => {
+          if (response?.missing?.length) {
+            console.warn('JAL: Comments no longer in storage, not updated:', response.missing);
+          }
+          resolve(response);
+        }
+      );
+    });
+  },
+
+  /**
+   * Delete a comment (moves it to the trash)
    */
   async deleteComment(commentId) {
     return new Promise((resolve) => {
@@ -67,6 +87,31 @@ window.JAL.Storage = {
     });
   },
 
+  /**
+   * Delete several comments at once (moves them to the trash)
+   */
+  async deleteComments(commentIds) {
+    if (commentIds.length === 0) return { success: true };
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage(
+        { type: 'DELETE_COMMENTS', commentIds },
+        (response) => resolve(response)
+      );
+    });
+  },
+
+  /**
+   * Restore comments from the trash
+   */
+  async restoreComments(commentIds) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage(
+        { type: 'RESTORE_COMMENTS', commentIds },
+        (response) => resolve(response)
+      );
+    });
+  },
+
   /**
    * Get the jump stack for the current page
    */
@@ -109,11 +154,13 @@ window.JAL.Storage = {
   createComment(pageId, anchor, body, options = {}) {
     return {
       commentId: window.JAL.Utils.generateId(),
+      schemaVersion: window.JAL.Schema.CURRENT_VERSION,
       threadId: options.threadId || null,
       createdAt: Date.now(),
       pageId,
       anchor,
       body,
+      revisions: [], // Previous bodies: [{ body, editedAt }]
       status: options.status || 'draft',
       sendMode: options.sendMode || 'individual',
       selected: false
@@ -0,0 +1,205 @@
+/**
+ * JAL - Prompt templates
+ * Renders comments into composer text using user-editable templates
+ *
+ * Placeholders: {context} {quote} {body} {index} {source}
+ */
+
+window.JAL = window.JAL || {};
+
+window.JAL.Templates = {
+  // chrome.storage.local key holding { preset, custom }
+  STORAGE_KEY: 'promptTemplate',
+
+  PLACEHOLDERS: ['context', 'quote', 'body', 'index', 'source'],
+
+  DEFAULT_PRESET: 'compact',
+
+  // Named presets (compact and detailed are the formats JAL used before templates)
+  PRESETS: {
+    compact: {
+      label: 'Compact',
+      template: '#{index}\n【{context}】\n→"{quote}"：{body}'
+    },
+    detailed: {
+      label: 'Detailed',
+      template: '#{index}\n' +
+        'Context:\nIn your previous response, you were discussing:\n"{context}"\n\n' +
+        'Focus:\nI am referring specifically to:\n"{quote}"\n\n' +
+        'Follow-up:\nRespond to my comment below:\n{body}'
+    },
+    blockquote: {
+      label: 'Blockquote',
+      template: '#{index} (response {source})\n> {quote}\n\n{body}'
+    }
+  },
+
+  // Cached active template text (set by load)
+  active: null,
+
+  /**
+   * Load the active template from storage and keep it in sync with changes
+   */
+  async load() {
+    const result = await chrome.storage.local.get(this.STORAGE_KEY);
+    this.active = this.resolve(result[this.STORAGE_KEY]);
+
+    if (!this._listening) {
+      this._listening = true;
+      chrome.storage.onChanged.addListener((changes, area) => {
+        if (area === 'local' && changes[this.STORAGE_KEY]) {
+          this.active = this.resolve(changes[this.STORAGE_KEY].newValue);
+          console.log('JAL Templates: Active template updated');
+        }
+      });
+    }
+
+    return this.active;
+  },
+
+  /**
+   * Get the active template text
+   */
+  getActive() {
+    return this.active || this.PRESETS[this.DEFAULT_PRESET].template;
+  },
+
+  /**
+   * Resolve stored settings ({ preset, custom }) to template text
+   */
+  resolve(settings) {
+    if (settings?.preset === 'custom' && settings.custom && !this.validate(settings.custom)) {
+      return settings.custom;
+    }
+    const preset = this.PRESETS[settings?.preset] || this.PRESETS[this.DEFAULT_PRESET];
+    return preset.template;
+  },
+
+  /**
+   * Validate a template - returns an error message, or null if valid
+   */
+  validate(template) {
+    if (!template || !template.trim()) {
+      return 'Template is empty';
+    }
+    if (!template.includes('{body}')) {
+      return 'Template must include {body}';
+    }
+    const unknown = [...template.matchAll(/\{(\w+)\}/g)]
+      .map(m => m[1])
+      .filter(name => !this.PLACEHOLDERS.includes(name));
+    if (unknown.length > 0) {
+      return `Unknown placeholder: {${unknown[0]}}`;
+    }
+    return null;
+  },
+
+  /**
+   * Render a template with values
+   * options.omit: placeholders whose lines are dropped (e.g. the #N header
+   * for the second comment of a batch). A blank-line separated paragraph
+   * left with no placeholders after dropping lines is dropped as well.
+   */
+  render(template, vars, options = {}) {
+    let text = template;
+
+    const omit = options.omit || [];
+    if (omit.length > 0) {
+      const hasOmitted = line => omit.some(name => line.includes(`{${name}}`));
+      const hasPlaceholder = line => /\{\w+\}/.test(line);
+
+      text = text.split(/\n\s*\n/)
+        .map(paragraph => {
+          const lines = paragraph.split('\n');
+          const kept = lines.filter(line => !hasOmitted(line));
+          if (kept.length < lines.length && !kept.some(hasPlaceholder)) {
+            return null;
+          }
+          return kept.join('\n');
+        })
+        .filter(paragraph => paragraph !== null && paragraph.trim() !== '')
+        .join('\n\n');
+    }
+
+    return text.replace(/\{(\w+)\}/g, (match, name) =>
+      Object.prototype.hasOwnProperty.call(vars, name) ? String(vars[name]) : match
+    );
+  },
+
+  /**
+   * Build a RegExp that recognizes a sent comment in user message text
+   * Uses the paragraph containing {body}, up to and including the body.
+   * Lines with {index} or {context} are left out since batched entries omit them.
+   * Whitespace is matched loosely because chat UIs re-flow sent text.
+   */
+  buildMatcher(template, vars) {
+    const paragraphs = template.split(/\n\s*\n/);
+    const paragraph = paragraphs.find(p => p.includes('{body}')) || '{body}';
+
+    const lines = paragraph.split('\n').filter(line =>
+      line.includes('{body}') || !/\{(index|context)\}/.test(line)
+    );
+    let source = lines.join('\n');
+    source = source.slice(0, source.indexOf('{body}') + '{body}'.length);
+
+    const looseWhitespace = text => text.split(/\s+/).map(this.escapeRegExp).join('\\s*');
+
+    const pattern = source.split(/(\{\w+\})/).map(part => {
+      const placeholder = part.match(/^\{(\w+)\}$/);
+      if (!placeholder) return looseWhitespace(part);
+      if (placeholder[1] === 'index') return '\\d+';
+      const value = vars[placeholder[1]];
+      return value === undefined ? '[\\s\\S]*?' : looseWhitespace(String(value));
+    }).join('');
+
+    return new RegExp(pattern);
+  },
+
+  /**
+   * Build a global, multiline RegExp capturing the entry numbers written by a template
+   * Returns null if the template has no {index}
+   */
+  getIndexPattern(template) {
+    const line = template.split('\n').find(l => l.includes('{index}'));
+    if (!line) return null;
+
+    const [before, after] = line.split('{index}');
+
+    // Anchored to the start of the line, like the template writes it, so a "#3" the
+    // user typed mid-sentence isn't taken for an entry number
+    const beforeParts = before.split(/\{\w+\}/);
+    const lead = beforeParts.length > 1 ? `${this.escapeRegExp(beforeParts[0])}[^\\n]*?` : '';
+    const prefix = this.escapeRegExp(beforeParts.pop());
+
+    // Then the literal after the number, or the end of the line when nothing follows
+    const afterLiteral = after.split(/\{\w+\}/)[0];
+    let suffix = '(?!\\d)';
+    if (afterLiteral) {
+      suffix = this.escapeRegExp(afterLiteral);
+    } else if (!after) {
+      suffix = '[ \\t]*$';
+    }
+
+    return new RegExp(`^[ \\t]*${lead}${prefix}(\\d+)${suffix}`, 'gm');
+  },
+
+  /**
+   * Get the literal text directly before a placeholder on its line
+   * e.g. '→"' for the compact template's {quote}
+   */
+  getLiteralBefore(template, name) {
+    const line = template.split('\n').find(l => l.includes(`{${name}}`));
+    if (!line) return '';
+    const before = line.slice(0, line.indexOf(`{${name}}`));
+    return before.split(/\{\w+\}/).pop();
+  },
+
+  /**
+   * Escape a string for use in a RegExp
+   */
+  escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+};
+
+console.log('JAL Templates loaded');
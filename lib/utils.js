@@ -5,6 +5,21 @@
 window.JAL = window.JAL || {};
 
 window.JAL.Utils = {
+  // Adapters that can be used on self-hosted origins (name -> label)
+  CUSTOM_PROVIDERS: {
+    openwebui: 'Open WebUI',
+    librechat: 'LibreChat'
+  },
+
+  // chrome.storage.local key holding [{ origin, provider }]
+  CUSTOM_HOSTS_KEY: 'customHosts',
+
+  // chrome.storage.local key holding the { origin, provider } waiting on its permission prompt
+  PENDING_HOST_KEY: 'pendingCustomHost',
+
+  // Adapter registered for the current origin (set by detectCustomProvider)
+  customProvider: null,
+
   /**
    * Generate a unique ID
    */
@@ -12,6 +27,15 @@ window.JAL.Utils = {
     return `jal_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   },
 
+  /**
+   * English ordinal for a number: 1st, 2nd, 3rd, 4th, 11th...
+   */
+  ordinal(n) {
+    const teen = n % 100 >= 11 && n % 100 <= 13;
+    const suffix = teen ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+    return `${n}${suffix}`;
+  },
+
   /**
    * Create a fingerprint hash from text
    * Uses a simple but fast hash for message identification
@@ -46,6 +70,8 @@ window.JAL.Utils = {
 
     // Try to find conversation ID patterns
     const idPatterns = ['c', 'chat', 'conversation'];
+    // For Perplexity: /search/[slug] (on other sites a search page isn't a conversation)
+    if (u.hostname.includes('perplexity.ai')) idPatterns.push('search');
     for (let i = 0; i < pathParts.length - 1; i++) {
       if (idPatterns.includes(pathParts[i])) {
         return `${u.hostname}:${pathParts[i + 1]}`;
@@ -74,10 +100,33 @@ window.JAL.Utils = {
     if (hostname.includes('deepseek.com')) {
       return 'deepseek';
     }
+    if (hostname.includes('perplexity.ai')) {
+      return 'perplexity';
+    }
 
     return 'unknown';
   },
 
+  /**
+   * Detect a self-hosted provider the user registered for this origin
+   */
+  async detectCustomProvider() {
+    const result = await chrome.storage.local.get(this.CUSTOM_HOSTS_KEY);
+    const hosts = result[this.CUSTOM_HOSTS_KEY] || [];
+    const entry = hosts.find(h => h.origin === window.location.origin);
+
+    this.customProvider = entry && this.CUSTOM_PROVIDERS[entry.provider] ? entry.provider : null;
+    return this.customProvider || 'unknown';
+  },
+
+  /**
+   * Host permission / match pattern for an origin (patterns cover every port)
+   */
+  getOriginPattern(origin) {
+    const url = new URL(origin);
+    return `${url.protocol}//${url.hostname}/*`;
+  },
+
   /**
    * Debounce function
    */
@@ -140,6 +189,9 @@ window.JAL.Utils = {
     // Remove MathJax assistive MML (duplicate)
     clone.querySelectorAll('mjx-assistive-mml').forEach(el => el.remove());
 
+    // Remove elements adapters flagged as not part of the message (e.g. citation chips)
+    clone.querySelectorAll('[data-jal-ignore]').forEach(el => el.remove());
+
     // Remove aria-hidden elements that are just for screen readers
     clone.querySelectorAll('[aria-hidden="true"]').forEach(el => {
       // But keep aria-hidden katex-html since that's the visible content
@@ -180,6 +232,55 @@ window.JAL.Utils = {
     return null;
   },
 
+  /**
+   * Word-level diff between two texts
+   * Returns parts: [{ type: 'same' | 'added' | 'removed', text }]
+   */
+  diffWords(oldText, newText) {
+    // Split into words, keeping whitespace attached so the parts join back up
+    const tokenize = text => (text || '').match(/\S+\s*|\s+/g) || [];
+    const a = tokenize(oldText);
+    const b = tokenize(newText);
+
+    // Longest common subsequence table (compare words without trailing whitespace)
+    const key = token => token.trim();
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lcs[i][j] = key(a[i]) === key(b[j])
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+
+    const parts = [];
+    const push = (type, text) => {
+      const last = parts[parts.length - 1];
+      if (last && last.type === type) {
+        last.text += text;
+      } else {
+        parts.push({ type, text });
+      }
+    };
+
+    let i = 0, j = 0;
+    while (i < a.length && j < b.length) {
+      if (key(a[i]) === key(b[j])) {
+        push('same', b[j]);
+        i++;
+        j++;
+      } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+        push('removed', a[i++]);
+      } else {
+        push('added', b[j++]);
+      }
+    }
+    while (i < a.length) push('removed', a[i++]);
+    while (j < b.length) push('added', b[j++]);
+
+    return parts;
+  },
+
   /**
    * Highlight an element temporarily
    */
@@ -12,6 +12,38 @@ window.JAL.Providers = window.JAL.Providers || {};
 window.JAL.Providers.Base = {
   name: 'base',
 
+  // Methods content_script.js relies on - every adapter must provide these
+  REQUIRED_METHODS: [
+    'isActive',
+    'getAssistantMessages',
+    'getUserMessages',
+    'getAllUserMessageText',
+    'findMessageContainer',
+    'isAssistantMessage',
+    'getMessageText',
+    'getComposerElement',
+    'getComposerContent',
+    'insertIntoComposer',
+    'appendToComposer',
+    'observeComposer',
+    'observeSend',
+    'isStreaming',
+    'waitForContent',
+    'getMessagesContainer',
+    'observeNewMessages',
+    'markMessage',
+    'getMessageId',
+    'getScrollPosition',
+    'scrollToPosition'
+  ],
+
+  /**
+   * List the required methods an adapter doesn't implement
+   */
+  getMissingCapabilities(adapter) {
+    return this.REQUIRED_METHODS.filter(method => typeof adapter[method] !== 'function');
+  },
+
   /**
    * Check if this provider is active on the current page
    */
@@ -19,25 +51,89 @@ window.JAL.Providers.Base = {
     return false;
   },
 
+  /**
+   * Find an element using multiple selector fallbacks
+   */
+  _findElement(selectorList) {
+    for (const selector of selectorList || []) {
+      const el = document.querySelector(selector);
+      if (el) return el;
+    }
+    return null;
+  },
+
+  /**
+   * Find all elements matching the first selector fallback that matches any
+   */
+  _findElements(selectorList) {
+    for (const selector of selectorList || []) {
+      const els = document.querySelectorAll(selector);
+      if (els.length > 0) return [...els];
+    }
+    return [];
+  },
+
+  /**
+   * Find the closest ancestor (or the node itself) matching a selector list
+   * Selectors are tried in order, so a pack's precise selectors win over its looser fallbacks
+   */
+  closestMatch(node, selectorList) {
+    const el = node?.nodeType === Node.TEXT_NODE ? node.parentElement : node;
+    for (const selector of selectorList || []) {
+      const match = el?.closest?.(selector);
+      if (match) return match;
+    }
+    return null;
+  },
+
   /**
    * Get all assistant message elements on the page
+   * Uses the first messageContainer selector that matches, keeping outermost assistant messages
    */
   getAssistantMessages() {
+    for (const selector of this.selectors?.messageContainer || []) {
+      const matches = [...document.querySelectorAll(selector)].filter(el => this.isAssistantMessage(el));
+      if (matches.length > 0) {
+        return matches.filter(el => !matches.some(other => other !== el && other.contains(el)));
+      }
+    }
     return [];
   },
 
+  /**
+   * Get all user message elements on the page (oldest first)
+   */
+  getUserMessages() {
+    return this._findElements(this.selectors?.userMessage);
+  },
+
+  /**
+   * Get the text of all user messages combined
+   */
+  getAllUserMessageText() {
+    return this.getUserMessages().map(m => m.textContent || '').join('\n');
+  },
+
   /**
    * Find the message container element from a node
    */
   findMessageContainer(node) {
-    return null;
+    const Base = window.JAL.Providers.Base;
+    return Base.closestMatch(node, this.selectors?.messageContainer) ||
+      Base.closestMatch(node, this.selectors?.userMessage) ||
+      Base.closestMatch(node, ['[data-jal-message]']);
   },
 
   /**
    * Check if an element is an assistant message (not user)
+   * It must be the element messageContainer resolves to, and not be or hold a user message
    */
   isAssistantMessage(element) {
-    return false;
+    const Base = window.JAL.Providers.Base;
+    if (Base.closestMatch(element, this.selectors?.messageContainer) !== element) return false;
+
+    const userSelector = (this.selectors?.userMessage || []).join(', ');
+    return !userSelector || (!element.closest(userSelector) && !element.querySelector(userSelector));
   },
 
   /**
@@ -51,11 +147,25 @@ window.JAL.Providers.Base = {
    * Get the chat input/composer element
    */
   getComposerElement() {
-    return null;
+    return this._findElement(this.selectors?.composer);
+  },
+
+  /**
+   * Get the current text in the composer
+   */
+  getComposerContent() {
+    const composer = this.getComposerElement();
+    if (!composer) return '';
+
+    if (composer.tagName === 'TEXTAREA' || composer.tagName === 'INPUT') {
+      return composer.value || '';
+    }
+
+    return composer.textContent || '';
   },
 
   /**
-   * Insert text into the composer
+   * Insert text into the composer (replaces existing content)
    */
   insertIntoComposer(text) {
     const composer = this.getComposerElement();
@@ -64,30 +174,133 @@ window.JAL.Providers.Base = {
       return false;
     }
 
-    // For contenteditable
-    if (composer.isContentEditable) {
-      composer.focus();
-      // Set text content
-      composer.textContent = text;
-      // Dispatch input event
-      composer.dispatchEvent(new InputEvent('input', {
-        bubbles: true,
-        cancelable: true,
-        inputType: 'insertText',
-        data: text
-      }));
-      return true;
-    }
+    composer.focus();
 
-    // For textarea/input
     if (composer.tagName === 'TEXTAREA' || composer.tagName === 'INPUT') {
-      composer.focus();
-      composer.value = text;
+      // Use the native setter so React picks up the change
+      const proto = composer.tagName === 'TEXTAREA' ? HTMLTextAreaElement.prototype : HTMLInputElement.prototype;
+      const nativeInputValueSetter = Object.getOwnPropertyDescriptor(proto, 'value').set;
+      nativeInputValueSetter.call(composer, text);
       composer.dispatchEvent(new Event('input', { bubbles: true }));
-      composer.dispatchEvent(new Event('change', { bubbles: true }));
       return true;
     }
 
+    if (composer.isContentEditable) {
+      // Rich text editor - go through the editing pipeline instead of setting textContent
+      const range = document.createRange();
+      range.selectNodeContents(composer);
+      const sel = window.getSelection();
+      sel.removeAllRanges();
+      sel.addRange(range);
+      document.execCommand('insertText', false, text);
+      return true;
+    }
+
+    return false;
+  },
+
+  /**
+   * Append text to the composer, keeping what's already there
+   */
+  appendToComposer(text) {
+    const existingContent = this.getComposerContent();
+    return this.insertIntoComposer(existingContent ? existingContent + '\n\n' + text : text);
+  },
+
+  /**
+   * Observe the composer's content
+   * Calls back with ('cleared', content) when it empties (usually a send) and
+   * ('changed', content) on other edits. Returns { disconnect } or null
+   */
+  observeComposer(callback) {
+    const composer = this.getComposerElement();
+    if (!composer) {
+      console.warn('JAL: Could not find composer for observation');
+      return null;
+    }
+
+    let lastContent = this.getComposerContent();
+
+    const check = () => {
+      const currentContent = this.getComposerContent();
+      if (currentContent === lastContent) return;
+
+      const cleared = lastContent.trim().length > 0 && currentContent.trim().length === 0;
+      lastContent = currentContent;
+      callback(cleared ? 'cleared' : 'changed', currentContent);
+    };
+
+    // Rich editors mutate, textareas only fire input
+    const observer = new MutationObserver(check);
+    observer.observe(composer, {
+      childList: true,
+      subtree: true,
+      characterData: true
+    });
+    composer.addEventListener('input', check);
+
+    return {
+      composer,
+      disconnect() {
+        observer.disconnect();
+        composer.removeEventListener('input', check);
+      }
+    };
+  },
+
+  /**
+   * Call back when the user sends a message (Enter in the composer or the send button)
+   * Listens on the document so re-rendered composers and buttons are still caught
+   * Returns { disconnect }
+   */
+  observeSend(callback) {
+    const onKeyDown = (e) => {
+      if (e.key !== 'Enter' || e.shiftKey || e.isComposing) return;
+      const composer = this.getComposerElement();
+      if (composer && composer.contains(e.target)) {
+        callback('enter');
+      }
+    };
+
+    const onClick = (e) => {
+      const selector = (this.selectors.sendButton || []).join(', ');
+      if (selector && e.target.closest?.(selector)) {
+        callback('click');
+      }
+    };
+
+    document.addEventListener('keydown', onKeyDown, true);
+    document.addEventListener('click', onClick, true);
+
+    return {
+      disconnect() {
+        document.removeEventListener('keydown', onKeyDown, true);
+        document.removeEventListener('click', onClick, true);
+      }
+    };
+  },
+
+  /**
+   * Check if a response is currently being generated
+   */
+  isStreaming() {
+    return !!this._findElement(this.selectors?.stopButton);
+  },
+
+  /**
+   * Wait until assistant content has rendered (sites load messages progressively)
+   * Defaults to the pack's renderedContent selectors; resolves true once it has text
+   */
+  async waitForContent(selector = this.selectors?.renderedContent?.join(', ') || null, maxAttempts = 30, delay = 100) {
+    for (let i = 0; i < maxAttempts; i++) {
+      const el = selector ? document.querySelector(selector) : this.getAssistantMessages()[0];
+      if (el && el.textContent && el.textContent.length > 10) {
+        console.log('JAL: Message content ready after', i * delay, 'ms');
+        return true;
+      }
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+    console.log('JAL: Timeout waiting for message content');
     return false;
   },
 
@@ -95,11 +308,32 @@ window.JAL.Providers.Base = {
    * Get the container that holds all messages (for observing new messages)
    */
   getMessagesContainer() {
-    return null;
+    return this._findElement(this.selectors?.conversationArea) || document.querySelector('main') || document.body;
+  },
+
+  /**
+   * Get current scroll position in the messages area
+   */
+  getScrollPosition() {
+    const container = this.getMessagesContainer();
+    return container?.scrollTop || window.scrollY;
+  },
+
+  /**
+   * Scroll to a position, in the messages area if it scrolls, else the window
+   */
+  scrollToPosition(position) {
+    const container = this.getMessagesContainer();
+    if (container && container !== document.body && container.scrollHeight > container.clientHeight) {
+      container.scrollTo({ top: position, behavior: 'smooth' });
+    } else {
+      window.scrollTo({ top: position, behavior: 'smooth' });
+    }
   },
 
   /**
    * Start observing for new assistant messages
+   * Calls back once per message element that wasn't on the page before
    */
   observeNewMessages(callback) {
     const container = this.getMessagesContainer();
@@ -108,21 +342,25 @@ window.JAL.Providers.Base = {
       return null;
     }
 
-    const observer = new MutationObserver((mutations) => {
-      for (const mutation of mutations) {
-        for (const node of mutation.addedNodes) {
-          if (node.nodeType === Node.ELEMENT_NODE) {
-            // Check if this is a new assistant message
-            const messages = this.isAssistantMessage(node)
-              ? [node]
-              : node.querySelectorAll ? [...node.querySelectorAll('*')].filter(el => this.isAssistantMessage(el)) : [];
-
-            for (const msg of messages) {
-              callback(msg);
-            }
-          }
+    const seen = new WeakSet(this.getAssistantMessages());
+    let scheduled = false;
+
+    const scan = () => {
+      scheduled = false;
+      for (const msg of this.getAssistantMessages()) {
+        if (!seen.has(msg)) {
+          seen.add(msg);
+          callback(msg);
         }
       }
+    };
+
+    // Streaming fires a mutation per token - rescan at most twice a second
+    const observer = new MutationObserver(() => {
+      if (!scheduled) {
+        scheduled = true;
+        setTimeout(scan, 500);
+      }
     });
 
     observer.observe(container, {
@@ -133,16 +371,27 @@ window.JAL.Providers.Base = {
     return observer;
   },
 
+  /**
+   * Get the site's own id for a message, or null if it doesn't expose one
+   * Ids survive edits and never collide, so they're preferred over fingerprints
+   */
+  getMessageId(element) {
+    return element.closest('[data-message-id]')?.getAttribute('data-message-id') || null;
+  },
+
   /**
    * Mark a message element for JAL tracking
    */
   markMessage(element) {
-    if (!element.hasAttribute('data-jal-message')) {
-      const fp = window.JAL.Utils.fingerprint(this.getMessageText(element));
-      element.setAttribute('data-jal-message', fp);
-      element.setAttribute('data-jal-provider', this.name);
+    if (!element.getAttribute('data-jal-message')) {
+      const text = this.getMessageText(element);
+      // Messages still loading have no content to fingerprint yet
+      if (text && text.length > 10) {
+        element.setAttribute('data-jal-message', window.JAL.Utils.fingerprint(text));
+        element.setAttribute('data-jal-provider', this.name);
+      }
     }
-    return element.getAttribute('data-jal-message');
+    return element.getAttribute('data-jal-message') || '';
   }
 };
 
@@ -0,0 +1,27 @@
+/**
+ * JAL - LibreChat Provider Adapter
+ * Works with self-hosted LibreChat instances registered in the popup
+ */
+
+window.JAL = window.JAL || {};
+window.JAL.Providers = window.JAL.Providers || {};
+
+// Everything not listed here comes from the base adapter, driven by the selector pack
+window.JAL.Providers.librechat = {
+  ...window.JAL.Providers.Base,
+
+  name: 'librechat',
+
+  // Filled from providers/packs/librechat.json (or the user's override pack) at init
+  selectors: {},
+
+  /**
+   * Check if this provider is active
+   */
+  isActive() {
+    // Self-hosted - active on origins the user registered for this adapter
+    return window.JAL.Utils.customProvider === this.name;
+  }
+};
+
+console.log('JAL LibreChat Provider loaded');
@@ -0,0 +1,35 @@
+/**
+ * JAL - Open WebUI Provider Adapter
+ * Works with self-hosted Open WebUI instances registered in the popup
+ */
+
+window.JAL = window.JAL || {};
+window.JAL.Providers = window.JAL.Providers || {};
+
+// Everything not listed here comes from the base adapter, driven by the selector pack
+window.JAL.Providers.openwebui = {
+  ...window.JAL.Providers.Base,
+
+  name: 'openwebui',
+
+  // Filled from providers/packs/openwebui.json (or the user's override pack) at init
+  selectors: {},
+
+  /**
+   * Check if this provider is active
+   */
+  isActive() {
+    // Self-hosted - active on origins the user registered for this adapter
+    return window.JAL.Utils.customProvider === this.name;
+  },
+
+  /**
+   * Get Open WebUI's message id (message wrappers have id="message-<uuid>")
+   */
+  getMessageId(element) {
+    const wrapper = element.closest('[id^="message-"]');
+    return wrapper ? wrapper.id.slice('message-'.length) : null;
+  }
+};
+
+console.log('JAL Open WebUI Provider loaded');
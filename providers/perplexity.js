@@ -0,0 +1,59 @@
+/**
+ * JAL - Perplexity Provider Adapter
+ * Works with perplexity.ai
+ */
+
+window.JAL = window.JAL || {};
+window.JAL.Providers = window.JAL.Providers || {};
+
+// Everything not listed here comes from the base adapter, driven by the selector pack
+window.JAL.Providers.perplexity = {
+  ...window.JAL.Providers.Base,
+
+  name: 'perplexity',
+
+  // Filled from providers/packs/perplexity.json (or the user's override pack) at init
+  selectors: {},
+
+  /**
+   * Check if this provider is active
+   */
+  isActive() {
+    return window.location.hostname.includes('perplexity.ai');
+  },
+
+  /**
+   * Flag citation chips so text extraction and anchoring skip them
+   */
+  _markCitations(element) {
+    element.querySelectorAll(this.selectors.citation.join(', ')).forEach(chip => {
+      chip.setAttribute('data-jal-ignore', 'true');
+    });
+  },
+
+  /**
+   * Get all assistant message elements
+   */
+  getAssistantMessages() {
+    const messages = window.JAL.Providers.Base.getAssistantMessages.call(this);
+    messages.forEach(msg => this._markCitations(msg));
+    return messages;
+  },
+
+  /**
+   * Get message text content (without citation chips)
+   */
+  getMessageText(element) {
+    this._markCitations(element);
+    return window.JAL.Utils.getTextContent(element);
+  },
+
+  /**
+   * Answers are only numbered by position (markdown-content-N) - no stable id
+   */
+  getMessageId(element) {
+    return null;
+  }
+};
+
+console.log('JAL Perplexity Provider loaded');
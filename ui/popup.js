@@ -10,13 +10,29 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Load statistics
   loadStats();
 
+  // Load trashed comments
+  loadTrash();
+
   // Fix shortcut labels for Mac
   updateShortcutLabels();
 
+  // Setup prompt template editor
+  setupTemplateEditor();
+
+  // Setup self-hosted origins
+  setupCustomHosts();
+
+  // Load selector pack overrides
+  loadSelectorPacks();
+
   // Setup action buttons
   document.getElementById('export-btn').addEventListener('click', exportComments);
   document.getElementById('import-btn').addEventListener('click', importComments);
   document.getElementById('clear-btn').addEventListener('click', clearAllComments);
+  document.getElementById('empty-trash-btn').addEventListener('click', emptyTrash);
+  document.getElementById('pack-import-btn').addEventListener('click', importSelectorPack);
+  document.getElementById('diagnostics-run-btn').addEventListener('click', runDiagnostics);
+  document.getElementById('diagnostics-copy-btn').addEventListener('click', copyDiagnostics);
 });
 
 function updateShortcutLabels() {
@@ -47,10 +63,14 @@ async function checkStatus() {
       'chat.openai.com',
       'claude.ai',
       'gemini.google.com',
-      'deepseek.com'
+      'deepseek.com',
+      'perplexity.ai'
     ];
 
-    const isSupported = supportedHosts.some(host => url.hostname.includes(host));
+    const customHosts = await getCustomHosts();
+
+    const isSupported = supportedHosts.some(host => url.hostname.includes(host)) ||
+      customHosts.some(host => host.origin === url.origin);
 
     if (isSupported) {
       statusEl.classList.remove('inactive');
@@ -67,33 +87,389 @@ async function checkStatus() {
 
 async function loadStats() {
   try {
-    const result = await chrome.storage.local.get('comments');
-    const allComments = result.comments || {};
+    const stats = await chrome.runtime.sendMessage({ type: 'GET_STATS' });
+
+    document.getElementById('stat-comments').textContent = stats.totalComments;
+    document.getElementById('stat-sent').textContent = stats.sentComments;
+    document.getElementById('stat-pages').textContent = stats.pages;
+  } catch (error) {
+    console.error('Error loading stats:', error);
+  }
+}
+
+async function loadTrash() {
+  const list = document.getElementById('trash-list');
+
+  try {
+    const trash = await chrome.runtime.sendMessage({ type: 'GET_TRASH' });
+
+    if (!trash || trash.length === 0) {
+      list.innerHTML = '<p class="trash-empty">Trash is empty</p>';
+      return;
+    }
+
+    // Threads are listed once, under their root - restoring brings back the whole thread
+    const trashedIds = new Set(trash.map(c => c.commentId));
+    const roots = trash.filter(c => !c.threadId || !trashedIds.has(c.threadId));
+
+    list.innerHTML = '';
+    for (const comment of roots) {
+      const item = document.createElement('div');
+      item.className = 'trash-item';
+
+      const replyCount = trash.filter(c => c.threadId === comment.commentId).length;
+      const text = document.createElement('span');
+      text.className = 'trash-item-text';
+      text.textContent = replyCount > 0
+        ? `${comment.body} (+${replyCount} ${replyCount === 1 ? 'reply' : 'replies'})`
+        : comment.body;
+      text.title = `"${comment.anchor?.quoteExact || ''}"\nDeleted ${new Date(comment.deletedAt).toLocaleString()}`;
 
-    let totalComments = 0;
-    let sentComments = 0;
-    const pages = Object.keys(allComments).length;
+      const restoreBtn = document.createElement('button');
+      restoreBtn.className = 'trash-item-restore';
+      restoreBtn.textContent = 'Restore';
+      restoreBtn.addEventListener('click', async () => {
+        await chrome.runtime.sendMessage({ type: 'RESTORE_COMMENTS', commentIds: [comment.commentId] });
+        loadTrash();
+        loadStats();
+      });
 
-    for (const pageId in allComments) {
-      const pageComments = allComments[pageId];
-      totalComments += pageComments.length;
-      sentComments += pageComments.filter(c => c.status === 'sent' || c.status === 'queued').length;
+      item.append(text, restoreBtn);
+      list.appendChild(item);
     }
+  } catch (error) {
+    console.error('Error loading trash:', error);
+  }
+}
+
+async function emptyTrash() {
+  if (!confirm('Permanently delete all comments in the trash? This cannot be undone.')) {
+    return;
+  }
 
-    document.getElementById('stat-comments').textContent = totalComments;
-    document.getElementById('stat-sent').textContent = sentComments;
-    document.getElementById('stat-pages').textContent = pages;
+  try {
+    await chrome.runtime.sendMessage({ type: 'EMPTY_TRASH' });
+    loadTrash();
   } catch (error) {
-    console.error('Error loading stats:', error);
+    alert('Error emptying trash: ' + error.message);
+  }
+}
+
+async function getCustomHosts() {
+  const key = window.JAL.Utils.CUSTOM_HOSTS_KEY;
+  const result = await chrome.storage.local.get(key);
+  return result[key] || [];
+}
+
+function setupCustomHosts() {
+  const providers = window.JAL.Utils.CUSTOM_PROVIDERS;
+
+  document.getElementById('host-provider').innerHTML = Object.entries(providers)
+    .map(([name, label]) => `<option value="${name}">${label}</option>`)
+    .join('');
+
+  document.getElementById('host-add-btn').addEventListener('click', addCustomHost);
+  loadCustomHosts();
+}
+
+async function loadCustomHosts() {
+  const list = document.getElementById('host-list');
+  const hosts = await getCustomHosts();
+
+  if (hosts.length === 0) {
+    list.innerHTML = '<p class="trash-empty">No self-hosted origins</p>';
+    return;
+  }
+
+  list.innerHTML = '';
+  for (const host of hosts) {
+    const item = document.createElement('div');
+    item.className = 'trash-item';
+
+    const text = document.createElement('span');
+    text.className = 'trash-item-text';
+    text.textContent = `${host.origin} (${window.JAL.Utils.CUSTOM_PROVIDERS[host.provider] || host.provider})`;
+    text.title = host.origin;
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'trash-item-restore';
+    removeBtn.textContent = 'Remove';
+    removeBtn.addEventListener('click', () => removeCustomHost(host.origin));
+
+    item.append(text, removeBtn);
+    list.appendChild(item);
+  }
+}
+
+function addCustomHost() {
+  const input = document.getElementById('host-origin');
+  const provider = document.getElementById('host-provider').value;
+
+  let origin;
+  try {
+    const url = new URL(input.value.trim());
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      throw new Error('unsupported protocol');
+    }
+    origin = url.origin;
+  } catch (error) {
+    alert('Enter an origin like http://localhost:3000');
+    return;
+  }
+
+  // The popup usually closes when the prompt opens, so the background worker
+  // saves the pending host once the permission is granted
+  const pendingKey = window.JAL.Utils.PENDING_HOST_KEY;
+  chrome.storage.local.set({ [pendingKey]: { origin, provider } });
+
+  // Must be requested synchronously from the click - permission prompts need a user gesture
+  const pattern = window.JAL.Utils.getOriginPattern(origin);
+  chrome.permissions.request({ origins: [pattern] }, async (granted) => {
+    if (!granted) {
+      chrome.storage.local.remove(pendingKey);
+      alert('Permission to access ' + origin + ' was denied');
+      return;
+    }
+
+    try {
+      // Still open - save here too, as onAdded does not fire for an already granted pattern
+      // The background worker registers content scripts when this changes
+      const hosts = (await getCustomHosts()).filter(h => h.origin !== origin);
+      hosts.push({ origin, provider });
+      await chrome.storage.local.set({ [window.JAL.Utils.CUSTOM_HOSTS_KEY]: hosts });
+      await chrome.storage.local.remove(pendingKey);
+
+      input.value = '';
+      loadCustomHosts();
+      checkStatus();
+    } catch (error) {
+      alert('Error adding origin: ' + error.message);
+    }
+  });
+}
+
+async function removeCustomHost(origin) {
+  try {
+    const hosts = (await getCustomHosts()).filter(h => h.origin !== origin);
+    await chrome.storage.local.set({ [window.JAL.Utils.CUSTOM_HOSTS_KEY]: hosts });
+
+    // Keep the permission while another registered origin shares the pattern (e.g. another port)
+    const pattern = window.JAL.Utils.getOriginPattern(origin);
+    if (!hosts.some(h => window.JAL.Utils.getOriginPattern(h.origin) === pattern)) {
+      await chrome.permissions.remove({ origins: [pattern] });
+    }
+
+    loadCustomHosts();
+    checkStatus();
+  } catch (error) {
+    alert('Error removing origin: ' + error.message);
+  }
+}
+
+async function getSelectorPackOverrides() {
+  const key = window.JAL.SelectorPacks.STORAGE_KEY;
+  const result = await chrome.storage.local.get(key);
+  return result[key] || {};
+}
+
+async function loadSelectorPacks() {
+  const list = document.getElementById('pack-list');
+  const overrides = await getSelectorPackOverrides();
+  const providers = Object.keys(overrides);
+
+  if (providers.length === 0) {
+    list.innerHTML = '<p class="trash-empty">Using built-in selectors</p>';
+    return;
+  }
+
+  list.innerHTML = '';
+  for (const provider of providers) {
+    const pack = overrides[provider];
+    const item = document.createElement('div');
+    item.className = 'trash-item';
+
+    const text = document.createElement('span');
+    text.className = 'trash-item-text';
+    text.textContent = `${provider} v${pack.version}`;
+    text.title = `${Object.keys(pack.selectors).join(', ')}${pack.updatedAt ? '\nUpdated ' + pack.updatedAt : ''}`;
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'trash-item-restore';
+    removeBtn.textContent = 'Remove';
+    removeBtn.addEventListener('click', () => removeSelectorPack(provider));
+
+    item.append(text, removeBtn);
+    list.appendChild(item);
+  }
+}
+
+function importSelectorPack() {
+  const SelectorPacks = window.JAL.SelectorPacks;
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = '.json';
+
+  input.onchange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    try {
+      const pack = JSON.parse(await file.text());
+      if (!pack || typeof pack.provider !== 'string') {
+        throw new Error('Pack has no provider');
+      }
+
+      const builtin = await SelectorPacks.loadBuiltin(pack.provider);
+      const error = SelectorPacks.validate(pack, builtin);
+      if (error) {
+        throw new Error(error);
+      }
+
+      const overrides = await getSelectorPackOverrides();
+      overrides[pack.provider] = pack;
+      await chrome.storage.local.set({ [SelectorPacks.STORAGE_KEY]: overrides });
+
+      alert(`Selector pack for ${pack.provider} imported! Reload the chat page to use it.`);
+      loadSelectorPacks();
+    } catch (error) {
+      alert('Error importing selector pack: ' + error.message);
+    }
+  };
+
+  input.click();
+}
+
+async function removeSelectorPack(provider) {
+  try {
+    const overrides = await getSelectorPackOverrides();
+    delete overrides[provider];
+    await chrome.storage.local.set({ [window.JAL.SelectorPacks.STORAGE_KEY]: overrides });
+    loadSelectorPacks();
+  } catch (error) {
+    alert('Error removing selector pack: ' + error.message);
+  }
+}
+
+async function runDiagnostics() {
+  const reportEl = document.getElementById('diagnostics-report');
+  const copyBtn = document.getElementById('diagnostics-copy-btn');
+
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const report = await chrome.tabs.sendMessage(tab.id, { type: 'RUN_DIAGNOSTICS' });
+    reportEl.textContent = window.JAL.Diagnostics.format(report);
+    copyBtn.disabled = false;
+  } catch (error) {
+    // No content script on the tab - not a supported or registered page
+    reportEl.textContent = 'JAL is not running on this tab (' + error.message + ')';
+    copyBtn.disabled = true;
+  }
+
+  reportEl.hidden = false;
+}
+
+async function copyDiagnostics() {
+  const text = document.getElementById('diagnostics-report').textContent;
+
+  try {
+    await navigator.clipboard.writeText(text);
+    alert('Diagnostics report copied!');
+  } catch (error) {
+    alert('Error copying report: ' + error.message);
+  }
+}
+
+// Sample values used to preview templates
+const TEMPLATE_PREVIEW_VARS = {
+  context: 'Mitochondria are the powerhouse of the cell, producing most of its ATP.',
+  quote: 'powerhouse of the cell',
+  body: 'How exactly is ATP produced here?',
+  index: 1,
+  source: 2
+};
+
+async function setupTemplateEditor() {
+  const Templates = window.JAL.Templates;
+  const presetSelect = document.getElementById('template-preset');
+  const textarea = document.getElementById('template-text');
+
+  presetSelect.innerHTML = Object.entries(Templates.PRESETS)
+    .map(([name, preset]) => `<option value="${name}">${preset.label}</option>`)
+    .join('') + '<option value="custom">Custom</option>';
+
+  const result = await chrome.storage.local.get(Templates.STORAGE_KEY);
+  const settings = result[Templates.STORAGE_KEY] || { preset: Templates.DEFAULT_PRESET, custom: '' };
+
+  presetSelect.value = settings.preset in Templates.PRESETS || settings.preset === 'custom'
+    ? settings.preset
+    : Templates.DEFAULT_PRESET;
+  textarea.value = presetSelect.value === 'custom'
+    ? settings.custom
+    : Templates.PRESETS[presetSelect.value].template;
+  updateTemplatePreview();
+
+  // Choosing a preset loads its text; custom keeps whatever is in the editor
+  presetSelect.addEventListener('change', () => {
+    if (presetSelect.value !== 'custom') {
+      textarea.value = Templates.PRESETS[presetSelect.value].template;
+    }
+    updateTemplatePreview();
+  });
+
+  // Editing a preset's text turns it into a custom template
+  textarea.addEventListener('input', () => {
+    const preset = Templates.PRESETS[presetSelect.value];
+    if (preset && textarea.value !== preset.template) {
+      presetSelect.value = 'custom';
+    }
+    updateTemplatePreview();
+  });
+
+  document.getElementById('template-save-btn').addEventListener('click', saveTemplate);
+}
+
+function updateTemplatePreview() {
+  const Templates = window.JAL.Templates;
+  const template = document.getElementById('template-text').value;
+  const error = Templates.validate(template);
+
+  document.getElementById('template-error').textContent = error || '';
+  document.getElementById('template-preview').textContent = error
+    ? ''
+    : Templates.render(template, TEMPLATE_PREVIEW_VARS);
+}
+
+async function saveTemplate() {
+  const Templates = window.JAL.Templates;
+  const preset = document.getElementById('template-preset').value;
+  const template = document.getElementById('template-text').value;
+
+  const error = Templates.validate(template);
+  if (error) {
+    alert('Invalid template: ' + error);
+    return;
+  }
+
+  try {
+    await chrome.storage.local.set({
+      [Templates.STORAGE_KEY]: {
+        preset,
+        custom: preset === 'custom' ? template : ''
+      }
+    });
+    alert('Template saved!');
+  } catch (error) {
+    alert('Error saving template: ' + error.message);
   }
 }
 
 async function exportComments() {
   try {
-    const result = await chrome.storage.local.get(['comments', 'jumpStacks']);
+    const result = await chrome.runtime.sendMessage({ type: 'GET_ALL_DATA' });
 
     const exportData = {
       version: '0.1.0',
+      schemaVersion: window.JAL.Schema.CURRENT_VERSION,
       exportedAt: new Date().toISOString(),
       comments: result.comments || {},
       jumpStacks: result.jumpStacks || {}
@@ -130,15 +506,17 @@ async function importComments() {
         throw new Error('Invalid export file format');
       }
 
-      // Merge with existing data
-      const existing = await chrome.storage.local.get(['comments', 'jumpStacks']);
-      const mergedComments = { ...existing.comments, ...data.comments };
-      const mergedStacks = { ...existing.jumpStacks, ...(data.jumpStacks || {}) };
+      // Upgrade comments from older exports to the current schema
+      const migrated = window.JAL.Schema.migrateExport(data);
 
-      await chrome.storage.local.set({
-        comments: mergedComments,
-        jumpStacks: mergedStacks
+      // Merge with existing data (imported pages replace stored ones)
+      const response = await chrome.runtime.sendMessage({
+        type: 'IMPORT_DATA',
+        data: { comments: migrated.comments, jumpStacks: data.jumpStacks || {} }
       });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Import failed');
+      }
 
       alert('Comments imported successfully!');
       loadStats();
@@ -151,18 +529,16 @@ async function importComments() {
 }
 
 async function clearAllComments() {
-  if (!confirm('Are you sure you want to delete all comments? This cannot be undone.')) {
+  if (!confirm('Move all comments to the trash? They can be restored until the trash is emptied.')) {
     return;
   }
 
   try {
-    await chrome.storage.local.set({
-      comments: {},
-      jumpStacks: {}
-    });
+    await chrome.runtime.sendMessage({ type: 'CLEAR_ALL' });
 
-    alert('All comments cleared!');
+    alert('All comments moved to trash!');
     loadStats();
+    loadTrash();
   } catch (error) {
     alert('Error clearing comments: ' + error.message);
   }